@@ -0,0 +1,128 @@
+// 📦 JSON (player_sync + ball_sync) ile binary-v1 delta snapshot'ların bant genişliği karşılaştırması
+// Kullanım: npm run bench:protocol [-- saniye]
+const { quantizeSnapshot, SnapshotEncoder, decodeSnapshot } = require('../protocol');
+
+const SNAPSHOT_RATE = 20;
+const TICKS_PER_SNAPSHOT = 3; // 60 Hz simülasyon
+const ACK_LAG = 2;            // ~100ms RTT: onay iki snapshot geriden gelir
+const ACK_LOSS = 0.05;        // Kaybolan onayların oranı
+const FIELD = { width: 900, height: 500 };
+const seconds = Number(process.argv[2]) || 120;
+
+// Deterministik rastgelelik - sonuçlar çalıştırmalar arasında karşılaştırılabilir
+let seed = 42;
+function random() {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x7fffffff;
+}
+
+function createMatch(perTeam) {
+    const players = [];
+    for (let i = 0; i < perTeam * 2; i++) {
+        players.push({
+            playerId: i + 1,
+            team: i < perTeam ? 'home' : 'away',
+            x: i < perTeam ? 225 : 675,
+            y: 100 + (i % perTeam) * 100,
+            vx: 0,
+            vy: 0,
+            lastInputSeq: 0,
+            target: null
+        });
+    }
+    return { tick: 0, ball: { x: 450, y: 250, vx: 0, vy: 0 }, players };
+}
+
+// Oyuncular hedefe koşar ya da bir süre durur; top sürtünmeyle yavaşlar ve yakın oyuncu vurur
+function stepMatch(match) {
+    match.tick++;
+    match.players.forEach(player => {
+        if (!player.target || random() < 0.01) {
+            player.target = random() < 0.3 ? null : { x: random() * FIELD.width, y: random() * FIELD.height };
+        }
+        if (player.target) {
+            const dx = player.target.x - player.x;
+            const dy = player.target.y - player.y;
+            const distance = Math.hypot(dx, dy) || 1;
+            player.vx = distance > 5 ? (dx / distance) * 5 : 0;
+            player.vy = distance > 5 ? (dy / distance) * 5 : 0;
+            player.lastInputSeq++;
+        } else {
+            player.vx = 0;
+            player.vy = 0;
+        }
+        player.x += player.vx;
+        player.y += player.vy;
+        
+        if (Math.hypot(player.x - match.ball.x, player.y - match.ball.y) < 30) {
+            match.ball.vx = (random() - 0.5) * 28;
+            match.ball.vy = (random() - 0.5) * 28;
+        }
+    });
+    
+    const ball = match.ball;
+    ball.vx *= 0.985;
+    ball.vy *= 0.985;
+    if (Math.abs(ball.vx) < 0.05) ball.vx = 0;
+    if (Math.abs(ball.vy) < 0.05) ball.vy = 0;
+    ball.x = Math.max(10, Math.min(FIELD.width - 10, ball.x + ball.vx));
+    ball.y = Math.max(10, Math.min(FIELD.height - 10, ball.y + ball.vy));
+}
+
+// socket.io metin paketi: 42["event",{...}]
+function jsonPacketBytes(eventName, data) {
+    return Buffer.byteLength(`42${JSON.stringify([eventName, data])}`);
+}
+
+// socket.io binary paket: placeholder'lı metin başlığı + ek binary frame
+function binaryPacketBytes(eventName, frame) {
+    return Buffer.byteLength(`451-${JSON.stringify([eventName, { _placeholder: true, num: 0 }])}`) + frame.length;
+}
+
+function run(perTeam) {
+    const match = createMatch(perTeam);
+    const encoder = new SnapshotEncoder();
+    const received = new Map(); // client tarafı: seq -> snapshot
+    const pendingAcks = [];
+    let jsonBytes = 0;
+    let binaryBytes = 0;
+    let frames = 0;
+    let keyframes = 0;
+    
+    for (let i = 0; i < seconds * SNAPSHOT_RATE; i++) {
+        for (let t = 0; t < TICKS_PER_SNAPSHOT; t++) stepMatch(match);
+        const timestamp = Date.now();
+        
+        match.players.forEach(p => {
+            jsonBytes += jsonPacketBytes('player_sync', {
+                playerId: p.playerId, team: p.team, x: p.x, y: p.y, vx: p.vx, vy: p.vy, lastInputSeq: p.lastInputSeq, timestamp
+            });
+        });
+        jsonBytes += jsonPacketBytes('ball_sync', {
+            ballX: match.ball.x, ballY: match.ball.y, ballVx: match.ball.vx, ballVy: match.ball.vy, tick: match.tick, timestamp
+        });
+        
+        const frame = encoder.encode('bench', quantizeSnapshot(match));
+        binaryBytes += binaryPacketBytes('snap', frame);
+        frames++;
+        if (frame[1] === 0) keyframes++;
+        
+        // Client çözer ve onay gecikmeli olarak sunucuya ulaşır
+        const { seq, snapshot } = decodeSnapshot(frame, baseSeq => received.get(baseSeq));
+        received.set(seq, snapshot);
+        if (random() >= ACK_LOSS) pendingAcks.push(seq);
+        while (pendingAcks.length > ACK_LAG) encoder.ack(pendingAcks.shift());
+    }
+    
+    return { perTeam, jsonBytes, binaryBytes, frames, keyframes };
+}
+
+console.log(`Simulated ${seconds}s per mode at ${SNAPSHOT_RATE} Hz, ack lag ${ACK_LAG} snapshots, ${ACK_LOSS * 100}% ack loss\n`);
+console.log('mode  json kB/s  binary kB/s  saved   avg frame  keyframes');
+[1, 2, 3].forEach(perTeam => {
+    const r = run(perTeam);
+    const rate = bytes => (bytes / seconds / 1024).toFixed(2).padStart(9);
+    const saved = ((1 - r.binaryBytes / r.jsonBytes) * 100).toFixed(1) + '%';
+    console.log(`${perTeam}v${perTeam}  ${rate(r.jsonBytes)}  ${rate(r.binaryBytes)}    ${saved.padStart(6)}  ${(r.binaryBytes / r.frames).toFixed(1).padStart(7)} B  ${r.keyframes}`);
+});
+console.log('\nPer client, server to client. Multiply by audience size for room totals.');
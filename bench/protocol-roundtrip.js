@@ -0,0 +1,141 @@
+// 📦 binary-v1 round-trip kontrolü - wire format değişirse burada kırılır
+// Kullanım: npm run test:protocol
+const assert = require('assert');
+const {
+    PROTOCOL,
+    quantizeSnapshot,
+    dequantizeSnapshot,
+    encodeSnapshot,
+    decodeSnapshot,
+    SnapshotEncoder,
+    encodeInput,
+    decodeInput
+} = require('../protocol');
+
+function createSnapshot(tick, offset = 0) {
+    return quantizeSnapshot({
+        tick,
+        ball: { x: 450 + offset, y: 250, vx: 3.25, vy: -1.5 },
+        players: [
+            { playerId: 1, team: 'home', x: 225 + offset, y: 100, vx: 5, vy: 0, lastInputSeq: 10 + offset },
+            { playerId: 2, team: 'away', x: 675, y: 400 - offset, vx: -2.5, vy: 1, lastInputSeq: 7 },
+            { playerId: 300, team: 'away', x: -40, y: 250, vx: 0, vy: 0, lastInputSeq: 0 } // kale içi: negatif pozisyon
+        ]
+    });
+}
+
+const checks = [];
+function check(name, fn) {
+    checks.push({ name, fn });
+}
+
+check('keyframe decodes without a base', () => {
+    const snapshot = createSnapshot(120);
+    const frame = encodeSnapshot(1, snapshot, null);
+    assert.strictEqual(frame[0], PROTOCOL.VERSION);
+    assert.strictEqual(frame[1], PROTOCOL.KEYFRAME);
+    
+    const decoded = decodeSnapshot(frame, () => assert.fail('keyframe must not ask for a base'));
+    assert.strictEqual(decoded.seq, 1);
+    assert.deepStrictEqual(decoded.snapshot, snapshot);
+});
+
+check('delta decodes against its base and is smaller than a keyframe', () => {
+    const base = createSnapshot(120);
+    const snapshot = createSnapshot(123, 4);
+    const frame = encodeSnapshot(8, snapshot, base, 5);
+    assert.strictEqual(frame[1], PROTOCOL.DELTA);
+    assert.ok(frame.length < encodeSnapshot(8, snapshot, null).length);
+    
+    const decoded = decodeSnapshot(frame, seq => (seq === 5 ? base : null));
+    assert.strictEqual(decoded.seq, 8);
+    assert.deepStrictEqual(decoded.snapshot, snapshot);
+});
+
+check('delta handles players joining and leaving', () => {
+    const base = createSnapshot(120);
+    const snapshot = createSnapshot(123);
+    snapshot.players = snapshot.players.slice(1).concat({ playerId: 4, x: 1000, y: 1200, vx: 0, vy: 0, lastInputSeq: 1, team: 0 });
+    
+    const decoded = decodeSnapshot(encodeSnapshot(9, snapshot, base, 8), () => base);
+    assert.deepStrictEqual(decoded.snapshot, snapshot);
+});
+
+check('delta without the base snapshot is rejected', () => {
+    const frame = encodeSnapshot(9, createSnapshot(123), createSnapshot(120), 8);
+    assert.throws(() => decodeSnapshot(frame, () => undefined), /Missing base snapshot 8/);
+});
+
+check('seq wraps around at 0xffff', () => {
+    assert.strictEqual(decodeSnapshot(encodeSnapshot(0x10001, createSnapshot(1), null), () => null).seq, 1);
+    
+    const encoder = new SnapshotEncoder();
+    encoder.reset('room');
+    encoder.seq = 0xfffe;
+    const received = new Map();
+    const decode = frame => {
+        const { seq, snapshot } = decodeSnapshot(frame, baseSeq => received.get(baseSeq));
+        received.set(seq, snapshot);
+        return { seq, snapshot };
+    };
+    
+    const first = decode(encoder.encode('room', createSnapshot(10)));
+    assert.strictEqual(first.seq, 0xffff);
+    encoder.ack(0xffff);
+    
+    const wrapped = encoder.encode('room', createSnapshot(13, 2));
+    assert.strictEqual(wrapped[1], PROTOCOL.DELTA);
+    const second = decode(wrapped);
+    assert.strictEqual(second.seq, 0);
+    assert.deepStrictEqual(second.snapshot, createSnapshot(13, 2));
+    
+    // Sarmadan sonraki seq de onaylanıp base olarak kullanılabilir
+    encoder.ack(0);
+    const third = decode(encoder.encode('room', createSnapshot(16, 3)));
+    assert.strictEqual(third.seq, 1);
+    assert.deepStrictEqual(third.snapshot, createSnapshot(16, 3));
+});
+
+check('truncated frames raise RangeError', () => {
+    const base = createSnapshot(120);
+    [encodeSnapshot(3, createSnapshot(123, 4), null), encodeSnapshot(4, createSnapshot(123, 4), base, 3)].forEach(frame => {
+        for (let length = 0; length < frame.length; length++) {
+            assert.throws(() => decodeSnapshot(frame.subarray(0, length), () => base), RangeError, `length ${length}`);
+        }
+    });
+});
+
+check('unknown protocol version is rejected', () => {
+    const frame = encodeSnapshot(1, createSnapshot(1), null);
+    frame[0] = PROTOCOL.VERSION + 1;
+    assert.throws(() => decodeSnapshot(frame, () => null), /Unsupported protocol version/);
+});
+
+check('quantization stays within one step of the original values', () => {
+    const original = { tick: 5, ball: { x: 12.34, y: -56.78, vx: 9.876, vy: -0.004 }, players: [] };
+    const restored = dequantizeSnapshot(quantizeSnapshot(original));
+    ['x', 'y'].forEach(field => assert.ok(Math.abs(restored.ball[field] - original.ball[field]) <= 0.5 / PROTOCOL.POSITION_SCALE));
+    ['vx', 'vy'].forEach(field => assert.ok(Math.abs(restored.ball[field] - original.ball[field]) <= 0.5 / PROTOCOL.VELOCITY_SCALE));
+});
+
+check('input frames round-trip and malformed ones decode to null', () => {
+    const frame = encodeInput({ seq: 0xfffffffe, dx: -1, dy: 0.5, kick: true });
+    assert.deepStrictEqual(decodeInput(frame), { seq: 0xfffffffe, dx: -1, dy: 0.5, kick: true });
+    assert.deepStrictEqual(decodeInput(encodeInput({ seq: 1, dx: 3, dy: -3, kick: false })), { seq: 1, dx: 1, dy: -1, kick: false });
+    assert.strictEqual(decodeInput(frame.subarray(0, 7)), null);
+    assert.strictEqual(decodeInput('not a buffer'), null);
+});
+
+let failed = 0;
+checks.forEach(({ name, fn }) => {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`❌ ${name}\n   ${error.message}`);
+    }
+});
+
+console.log(`\n${checks.length - failed}/${checks.length} protocol checks passed`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,279 @@
+// 📦 BINARY SYNC PROTOCOL (binary-v1)
+// Sıcak yol mesajları (snapshot ve input) için kompakt, versiyonlu binary format.
+// Snapshot'lar client'ın son onayladığı (ack) snapshot'a göre delta kodlanır; onay yoksa keyframe gider.
+//
+// Snapshot çerçevesi:
+//   u8 version | u8 kind (0 keyframe, 1 delta) | u16 seq | u16 baseSeq | u32 tick
+//   ball:    u8 mask, ardından maskedeki her alan için zigzag varint (değer - base)
+//   u8 playerCount, her oyuncu: varint playerId | u8 mask | alanlar
+// Keyframe, sıfır değerli bir base'e karşı delta ile aynı şekilde kodlanır.
+// Pozisyonlar 0.1px, hızlar 0.01px/tick çözünürlükle tam sayıya çevrilir.
+
+const PROTOCOL = {
+    NAME: 'binary-v1',
+    VERSION: 1,
+    KEYFRAME: 0,
+    DELTA: 1,
+    HISTORY_SIZE: 32,       // Onay beklenebilecek en eski snapshot
+    POSITION_SCALE: 10,
+    POSITION_OFFSET: 100,   // Kale içi gibi alan dışı pozisyonlar negatif olabilir
+    VELOCITY_SCALE: 100,
+    INPUT_SCALE: 100
+};
+
+const BALL_FIELDS = ['x', 'y', 'vx', 'vy'];
+const PLAYER_FIELDS = ['x', 'y', 'vx', 'vy', 'lastInputSeq', 'team'];
+
+function quantizePosition(value) {
+    return Math.round((value + PROTOCOL.POSITION_OFFSET) * PROTOCOL.POSITION_SCALE);
+}
+
+function quantizeVelocity(value) {
+    return Math.round(value * PROTOCOL.VELOCITY_SCALE);
+}
+
+// Simülasyon değerlerini tam sayı alanlara çevir; encode ve decode bu yapı üzerinde çalışır
+function quantizeSnapshot({ tick, ball, players }) {
+    return {
+        tick,
+        ball: {
+            x: quantizePosition(ball.x),
+            y: quantizePosition(ball.y),
+            vx: quantizeVelocity(ball.vx),
+            vy: quantizeVelocity(ball.vy)
+        },
+        players: players.map(p => ({
+            playerId: p.playerId,
+            x: quantizePosition(p.x),
+            y: quantizePosition(p.y),
+            vx: quantizeVelocity(p.vx),
+            vy: quantizeVelocity(p.vy),
+            lastInputSeq: p.lastInputSeq || 0,
+            team: p.team === 'away' ? 1 : 0
+        }))
+    };
+}
+
+function dequantizeSnapshot({ tick, ball, players }) {
+    const position = value => value / PROTOCOL.POSITION_SCALE - PROTOCOL.POSITION_OFFSET;
+    const velocity = value => value / PROTOCOL.VELOCITY_SCALE;
+    return {
+        tick,
+        ball: { x: position(ball.x), y: position(ball.y), vx: velocity(ball.vx), vy: velocity(ball.vy) },
+        players: players.map(p => ({
+            playerId: p.playerId,
+            x: position(p.x),
+            y: position(p.y),
+            vx: velocity(p.vx),
+            vy: velocity(p.vy),
+            lastInputSeq: p.lastInputSeq,
+            team: p.team === 1 ? 'away' : 'home'
+        }))
+    };
+}
+
+class ByteWriter {
+    constructor() {
+        this.bytes = [];
+    }
+    
+    u8(value) {
+        this.bytes.push(value & 0xff);
+    }
+    
+    u16(value) {
+        this.bytes.push((value >>> 8) & 0xff, value & 0xff);
+    }
+    
+    u32(value) {
+        this.u16((value >>> 16) & 0xffff);
+        this.u16(value & 0xffff);
+    }
+    
+    varint(value) {
+        let remaining = value >>> 0;
+        while (remaining >= 0x80) {
+            this.bytes.push((remaining & 0x7f) | 0x80);
+            remaining >>>= 7;
+        }
+        this.bytes.push(remaining);
+    }
+    
+    // Küçük negatif farklar da tek byte'a sığar
+    zigzag(value) {
+        this.varint(value >= 0 ? value * 2 : -value * 2 - 1);
+    }
+    
+    toBuffer() {
+        return Buffer.from(this.bytes);
+    }
+}
+
+class ByteReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+    
+    u8() {
+        if (this.offset >= this.buffer.length) throw new RangeError('Unexpected end of frame');
+        return this.buffer[this.offset++];
+    }
+    
+    u16() {
+        return (this.u8() << 8) | this.u8();
+    }
+    
+    u32() {
+        return ((this.u16() << 16) >>> 0) + this.u16();
+    }
+    
+    varint() {
+        let value = 0;
+        for (let shift = 0; shift < 35; shift += 7) {
+            const byte = this.u8();
+            value += (byte & 0x7f) * Math.pow(2, shift);
+            if (byte < 0x80) return value;
+        }
+        throw new RangeError('Varint too long');
+    }
+    
+    zigzag() {
+        const value = this.varint();
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+}
+
+function writeEntity(writer, fields, entity, base) {
+    let mask = 0;
+    fields.forEach((field, bit) => {
+        if (entity[field] !== base[field]) mask |= 1 << bit;
+    });
+    writer.u8(mask);
+    fields.forEach((field, bit) => {
+        if (mask & (1 << bit)) writer.zigzag(entity[field] - base[field]);
+    });
+}
+
+function readEntity(reader, fields, base) {
+    const entity = {};
+    const mask = reader.u8();
+    fields.forEach((field, bit) => {
+        entity[field] = base[field] + (mask & (1 << bit) ? reader.zigzag() : 0);
+    });
+    return entity;
+}
+
+const ZERO_BALL = { x: 0, y: 0, vx: 0, vy: 0 };
+const ZERO_PLAYER = { x: 0, y: 0, vx: 0, vy: 0, lastInputSeq: 0, team: 0 };
+
+// base null ise keyframe
+function encodeSnapshot(seq, snapshot, base, baseSeq) {
+    const writer = new ByteWriter();
+    writer.u8(PROTOCOL.VERSION);
+    writer.u8(base ? PROTOCOL.DELTA : PROTOCOL.KEYFRAME);
+    writer.u16(seq & 0xffff);
+    writer.u16(base ? baseSeq & 0xffff : 0);
+    writer.u32(snapshot.tick);
+    
+    writeEntity(writer, BALL_FIELDS, snapshot.ball, base ? base.ball : ZERO_BALL);
+    
+    // Oyuncu listesi her çerçevede tam gönderilir, değişmeyen oyuncu 2 byte tutar
+    writer.u8(snapshot.players.length);
+    snapshot.players.forEach(player => {
+        const basePlayer = base && base.players.find(p => p.playerId === player.playerId);
+        writer.varint(player.playerId);
+        writeEntity(writer, PLAYER_FIELDS, player, basePlayer || ZERO_PLAYER);
+    });
+    
+    return writer.toBuffer();
+}
+
+// getBase(seq) client'ın sakladığı quantize snapshot'ı döndürür; { seq, snapshot } döner
+function decodeSnapshot(buffer, getBase) {
+    const reader = new ByteReader(buffer);
+    const version = reader.u8();
+    if (version !== PROTOCOL.VERSION) throw new Error(`Unsupported protocol version ${version}`);
+    
+    const kind = reader.u8();
+    const seq = reader.u16();
+    const baseSeq = reader.u16();
+    const tick = reader.u32();
+    
+    const base = kind === PROTOCOL.DELTA ? getBase(baseSeq) : null;
+    if (kind === PROTOCOL.DELTA && !base) throw new Error(`Missing base snapshot ${baseSeq}`);
+    
+    const ball = readEntity(reader, BALL_FIELDS, base ? base.ball : ZERO_BALL);
+    const players = [];
+    const count = reader.u8();
+    for (let i = 0; i < count; i++) {
+        const playerId = reader.varint();
+        const basePlayer = base && base.players.find(p => p.playerId === playerId);
+        players.push({ playerId, ...readEntity(reader, PLAYER_FIELDS, basePlayer || ZERO_PLAYER) });
+    }
+    
+    return { seq, snapshot: { tick, ball, players } };
+}
+
+// Her binary client için ayrı: gönderilen snapshot geçmişi ve son onaylanan seq
+class SnapshotEncoder {
+    constructor() {
+        this.reset();
+    }
+    
+    reset(streamId = null) {
+        this.streamId = streamId; // Oda değişince eski base'ler kullanılamaz
+        this.seq = 0;
+        this.history = new Map(); // seq -> quantized snapshot
+        this.ackedSeq = null;
+    }
+    
+    ack(seq) {
+        if (this.history.has(seq)) this.ackedSeq = seq;
+    }
+    
+    encode(streamId, snapshot) {
+        if (streamId !== this.streamId) this.reset(streamId);
+        
+        this.seq = (this.seq + 1) & 0xffff;
+        const base = this.ackedSeq !== null ? this.history.get(this.ackedSeq) : null;
+        const frame = encodeSnapshot(this.seq, snapshot, base, this.ackedSeq);
+        
+        this.history.set(this.seq, snapshot);
+        this.history.delete((this.seq - PROTOCOL.HISTORY_SIZE) & 0xffff);
+        if (this.ackedSeq !== null && !this.history.has(this.ackedSeq)) this.ackedSeq = null;
+        return frame;
+    }
+}
+
+// Input çerçevesi: u8 version | u32 seq | i8 dx | i8 dy | u8 flags (bit0 kick)
+function encodeInput({ seq, dx, dy, kick }) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeUInt8(PROTOCOL.VERSION, 0);
+    buffer.writeUInt32BE(seq >>> 0, 1);
+    buffer.writeInt8(Math.max(-PROTOCOL.INPUT_SCALE, Math.min(PROTOCOL.INPUT_SCALE, Math.round(dx * PROTOCOL.INPUT_SCALE))), 5);
+    buffer.writeInt8(Math.max(-PROTOCOL.INPUT_SCALE, Math.min(PROTOCOL.INPUT_SCALE, Math.round(dy * PROTOCOL.INPUT_SCALE))), 6);
+    buffer.writeUInt8(kick ? 1 : 0, 7);
+    return buffer;
+}
+
+function decodeInput(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length !== 8 || buffer.readUInt8(0) !== PROTOCOL.VERSION) return null;
+    return {
+        seq: buffer.readUInt32BE(1),
+        dx: buffer.readInt8(5) / PROTOCOL.INPUT_SCALE,
+        dy: buffer.readInt8(6) / PROTOCOL.INPUT_SCALE,
+        kick: (buffer.readUInt8(7) & 1) === 1
+    };
+}
+
+module.exports = {
+    PROTOCOL,
+    quantizeSnapshot,
+    dequantizeSnapshot,
+    encodeSnapshot,
+    decodeSnapshot,
+    SnapshotEncoder,
+    encodeInput,
+    decodeInput
+};
@@ -2,6 +2,13 @@ const express = require('express');
 const http = require('http');
 const socketIO = require('socket.io');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { PROTOCOL, quantizeSnapshot, SnapshotEncoder, decodeInput } = require('./protocol');
 
 // 🛡️ SECURITY MODULES (Optional - graceful fallback if not installed)
 let rateLimit, helmet;
@@ -27,13 +34,177 @@ const limiter = rateLimit ? rateLimit({
     legacyHeaders: false,
 }) : null;
 
+// 📊 METRICS
+// Prometheus text formatı elle üretilir; /metrics her çağrıda anlık değerleri toplar
+const METRIC_PREFIX = 'rf_';
+const LATENCY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25];
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map(); // name -> { type, help, values: Map(labelKey -> value|histogram), collect? }
+    }
+    
+    register(name, type, help, collect) {
+        this.metrics.set(METRIC_PREFIX + name, { type, help, values: new Map(), collect });
+    }
+    
+    labelKey(labels) {
+        return Object.keys(labels).sort().map(key => `${key}="${String(labels[key]).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\n')}"`).join(',');
+    }
+    
+    inc(name, labels = {}, amount = 1) {
+        const metric = this.metrics.get(METRIC_PREFIX + name);
+        const key = this.labelKey(labels);
+        metric.values.set(key, (metric.values.get(key) || 0) + amount);
+    }
+    
+    set(name, labels, value) {
+        this.metrics.get(METRIC_PREFIX + name).values.set(this.labelKey(labels), value);
+    }
+    
+    observe(name, labels, seconds) {
+        const metric = this.metrics.get(METRIC_PREFIX + name);
+        const key = this.labelKey(labels);
+        if (!metric.values.has(key)) {
+            metric.values.set(key, { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+        }
+        const histogram = metric.values.get(key);
+        LATENCY_BUCKETS.forEach((bound, i) => {
+            if (seconds <= bound) histogram.buckets[i]++;
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+    
+    // Ölçülen fonksiyonun dönüş değeri korunur
+    time(name, labels, fn) {
+        const start = process.hrtime.bigint();
+        try {
+            return fn();
+        } finally {
+            this.observe(name, labels, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+    }
+    
+    render() {
+        const lines = [];
+        this.metrics.forEach((metric, name) => {
+            if (metric.collect) {
+                metric.values.clear();
+                metric.collect((labels, value) => metric.values.set(this.labelKey(labels), value));
+            }
+            
+            lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+            metric.values.forEach((value, key) => {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${name}${key ? `{${key}}` : ''} ${value}`);
+                    return;
+                }
+                const prefix = key ? `${key},` : '';
+                LATENCY_BUCKETS.forEach((bound, i) => lines.push(`${name}_bucket{${prefix}le="${bound}"} ${value.buckets[i]}`));
+                lines.push(`${name}_bucket{${prefix}le="+Inf"} ${value.count}`);
+                lines.push(`${name}_sum${key ? `{${key}}` : ''} ${value.sum}`);
+                lines.push(`${name}_count${key ? `{${key}}` : ''} ${value.count}`);
+            });
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+const metrics = new MetricsRegistry();
+metrics.register('matches_started_total', 'counter', 'Matches started');
+metrics.register('matches_finished_total', 'counter', 'Matches finished by outcome');
+metrics.register('room_leaves_total', 'counter', 'Players leaving rooms');
+metrics.register('socket_events_total', 'counter', 'Inbound socket events by event name');
+metrics.register('socket_handler_errors_total', 'counter', 'Socket handlers that threw');
+metrics.register('simulation_errors_total', 'counter', 'Match simulations closed after throwing');
+metrics.register('rate_limit_hits_total', 'counter', 'Rate limit rejections by action');
+metrics.register('security_alerts_total', 'counter', 'Security alerts by type');
+metrics.register('security_blocks_total', 'counter', 'Identities blocked after crossing the suspicion threshold');
+metrics.register('socket_validation_errors_total', 'counter', 'Inbound socket payloads rejected by schema');
+metrics.register('relay_fanout_seconds', 'histogram', 'Time spent fanning out a broadcast to a room');
+
 // 🛡️ ANTI-CHEAT & SECURITY MANAGER
+// Şüphe socket id'nin yanında oyuncu adı ve IP başına da tutulur - yeniden bağlanmak bloğu kaldırmaz
+const ANTI_CHEAT = {
+    EVENT_BUFFER: 50,                      // kimlik başına son şüpheli olaylar
+    SAMPLE_BUFFER: 32,                     // socket başına son game_update örnekleri
+    SUSPICION_WINDOW_MS: 5 * 60 * 1000,
+    BLOCK_SCORE: { socket: 10, player: 10, ip: 30 }, // NAT arkasındaki oyuncular IP paylaşır, eşik daha yüksek
+    BLOCK_MS: 10 * 60 * 1000,
+    WEIGHTS: { SPEED_HACK: 3, TELEPORT: 4, POSITION_DESYNC: 2, INPUT_FLOOD: 2, IMPOSSIBLE_GOAL_TIMING: 3, RESULT_MISMATCH: 4 }, // diğerleri 1
+    IP_EXEMPT: ['INVALID_PAYLOAD'],        // sınırsız üretilebilen olaylar paylaşılan IP'yi (NAT) bloklamasın
+    FLAG_COOLDOWN_MS: 5000,                // sürekli dedektörler socket başına bu aralıkla bir kez işaretler
+    SPEED_TOLERANCE: 1.5,                  // simülasyonun oyuncu hızına (stadyum/hava dahil) gecikme payı
+    SPEED_WINDOW_MS: 250,                  // hız jitter'a karşı en az bu kadar aralıklı iki örnekten ölçülür
+    TELEPORT_DISTANCE: 150,
+    TELEPORT_INTERVAL_MS: 150,
+    DESYNC_DISTANCE: 200,                  // sunucu pozisyonundan uzaklık
+    DESYNC_SAMPLES: 10,                    // art arda bu kadar örnek uzak kalırsa
+    MIN_GOAL_SECONDS: 1,                   // kickoff'tan bu kadar oyun saniyesi geçmeden gol fiziksel olarak mümkün değil
+    MAX_INPUTS_PER_SECOND: 120,            // tick hızının iki katı
+    REVIEW_LIMIT: 500,
+    REVIEW_FLAG_LIMIT: 50
+};
+
+// Sabit kapasiteli halka tampon - dolunca en eski eleman üzerine yazılır
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+    
+    push(item) {
+        this.items[(this.start + this.length) % this.capacity] = item;
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+    
+    // 0 = en eski
+    at(index) {
+        return index < this.length ? this.items[(this.start + index) % this.capacity] : undefined;
+    }
+    
+    last() {
+        return this.length ? this.at(this.length - 1) : undefined;
+    }
+    
+    isFull() {
+        return this.length === this.capacity;
+    }
+    
+    clear() {
+        this.start = 0;
+        this.length = 0;
+    }
+    
+    toArray() {
+        return Array.from({ length: this.length }, (_, i) => this.at(i));
+    }
+}
+
 class SecurityManager {
     constructor() {
-        this.suspiciousActivities = new Map();
+        this.suspiciousActivities = new Map(); // 'socket:id' | 'player:name' | 'ip:addr' -> RingBuffer of events
         this.rateLimits = new Map();
-        this.blockedIPs = new Set();
+        this.blocked = new Map(); // identity key -> blockedUntil
         this.playerValidation = new Map();
+        this.identities = new Map(); // socketId -> { playerName, ip }
+        this.alertHistory = []; // Admin paneli için tüm soketlerin son uyarıları
+    }
+    
+    identify(socketId, identity) {
+        this.identities.set(socketId, identity);
+    }
+    
+    forget(socketId) {
+        this.identities.delete(socketId);
+        this.suspiciousActivities.delete(`socket:${socketId}`);
     }
     
     // Rate limiting per socket
@@ -53,6 +224,7 @@ class SecurityManager {
         this.rateLimits.set(key, filtered);
         
         if (filtered.length > maxPerMinute) {
+            metrics.inc('rate_limit_hits_total', { action });
             this.logSuspiciousActivity(socketId, 'RATE_LIMIT_EXCEEDED', { action, count: filtered.length });
             return false;
         }
@@ -101,53 +273,96 @@ class SecurityManager {
         return true;
     }
     
+    // Socket'in şüphe anahtarları; kimliği olmayan anahtarlar (bağlantı rate limit'indeki IP gibi) tek başına sayılır
+    keysFor(socketId) {
+        const identity = this.identities.get(socketId);
+        if (!identity) return [`socket:${socketId}`];
+        return [`socket:${socketId}`, `player:${identity.playerName}`, `ip:${identity.ip}`];
+    }
+    
     // Log suspicious activity
     logSuspiciousActivity(socketId, type, data) {
         const now = Date.now();
-        const key = socketId;
-        
-        if (!this.suspiciousActivities.has(key)) {
-            this.suspiciousActivities.set(key, []);
-        }
-        
-        const activities = this.suspiciousActivities.get(key);
-        activities.push({
-            type,
-            data,
-            timestamp: now
-        });
+        metrics.inc('security_alerts_total', { type });
+        const weight = ANTI_CHEAT.WEIGHTS[type] || 1;
         
-        // Keep only last 50 activities per socket
-        if (activities.length > 50) {
-            activities.splice(0, activities.length - 50);
+        this.alertHistory.push({ socketId, ...this.identities.get(socketId), type, data, weight, timestamp: now });
+        if (this.alertHistory.length > 500) {
+            this.alertHistory.splice(0, this.alertHistory.length - 500);
         }
         
         console.warn(`🚨 SECURITY ALERT [${socketId}]: ${type}`, data);
         
-        // Auto-block after too many suspicious activities
-        if (activities.length > 10) {
-            const recentActivities = activities.filter(a => now - a.timestamp < 300000); // 5 minutes
-            if (recentActivities.length > 5) {
-                this.blockSocket(socketId);
+        // Her kimlik anahtarı ayrı puanlanır, eşiği geçen anahtar bloklanır
+        const keys = this.keysFor(socketId).filter(key => !key.startsWith('ip:') || !ANTI_CHEAT.IP_EXEMPT.includes(type));
+        keys.forEach(key => {
+            if (!this.suspiciousActivities.has(key)) {
+                this.suspiciousActivities.set(key, new RingBuffer(ANTI_CHEAT.EVENT_BUFFER));
             }
-        }
+            const activities = this.suspiciousActivities.get(key);
+            activities.push({ type, data, weight, timestamp: now });
+            
+            if (this.getScore(key, now) >= ANTI_CHEAT.BLOCK_SCORE[key.split(':')[0]] && !this.isKeyBlocked(key, now)) {
+                this.blockKey(key, now);
+            }
+        });
     }
     
-    // Block suspicious socket
-    blockSocket(socketId) {
-        this.blockedIPs.add(socketId);
-        console.warn(`🚨 SOCKET BLOCKED: ${socketId}`);
-        
-        // Auto-unblock after 10 minutes
-        setTimeout(() => {
-            this.blockedIPs.delete(socketId);
-            console.log(`✅ Socket unblocked: ${socketId}`);
-        }, 10 * 60 * 1000);
+    // Pencere içindeki olayların ağırlık toplamı
+    getScore(key, now = Date.now()) {
+        const activities = this.suspiciousActivities.get(key);
+        if (!activities) return 0;
+        return activities.toArray()
+            .filter(a => now - a.timestamp < ANTI_CHEAT.SUSPICION_WINDOW_MS)
+            .reduce((sum, a) => sum + a.weight, 0);
+    }
+    
+    blockKey(key, now = Date.now()) {
+        this.blocked.set(key, now + ANTI_CHEAT.BLOCK_MS);
+        metrics.inc('security_blocks_total', { kind: key.split(':')[0] });
+        console.warn(`🚨 BLOCKED: ${key} for ${ANTI_CHEAT.BLOCK_MS / 60000} minutes`);
+        // Açık bağlantılar da kapanır; çağıran handler bitsin diye bir sonraki turda
+        setImmediate(() => disconnectBlocked(key));
+    }
+    
+    isKeyBlocked(key, now = Date.now()) {
+        const until = this.blocked.get(key);
+        return until !== undefined && until > now;
     }
     
-    // Check if socket is blocked
+    // Check if socket is blocked - socket'in oyuncusu veya IP'si bloklu olsa da geçerli
     isBlocked(socketId) {
-        return this.blockedIPs.has(socketId);
+        return this.keysFor(socketId).some(key => this.isKeyBlocked(key));
+    }
+    
+    // Handshake'te, socket henüz kimliklenmeden
+    isIdentityBlocked(playerName, ip) {
+        return this.isKeyBlocked(`player:${playerName}`) || this.isKeyBlocked(`ip:${ip}`);
+    }
+    
+    // Admin paneli: oyuncu ve IP anahtarları, en şüpheliler önce
+    getSuspects(now = Date.now()) {
+        return Array.from(this.suspiciousActivities.entries())
+            .filter(([key]) => !key.startsWith('socket:'))
+            .map(([key, activities]) => ({
+                key,
+                score: this.getScore(key, now),
+                blockedUntil: this.isKeyBlocked(key, now) ? this.blocked.get(key) : null,
+                recent: activities.toArray().slice(-10).reverse()
+            }))
+            .filter(suspect => suspect.score > 0 || suspect.blockedUntil)
+            .sort((a, b) => b.score - a.score);
+    }
+    
+    // Bağlantı kapanınca socket anahtarı düşer; oyuncu ve IP geçmişi pencere dolana kadar kalır
+    prune(now = Date.now()) {
+        this.blocked.forEach((until, key) => {
+            if (until <= now) this.blocked.delete(key);
+        });
+        this.suspiciousActivities.forEach((activities, key) => {
+            const last = activities.last();
+            if (!last || now - last.timestamp > ANTI_CHEAT.SUSPICION_WINDOW_MS) this.suspiciousActivities.delete(key);
+        });
     }
     
     // Validate client data integrity
@@ -176,465 +391,5756 @@ class SecurityManager {
 
 const securityManager = new SecurityManager();
 
-// Express app oluştur
-const app = express();
+// ⚽ SERVER-AUTHORITATIVE MATCH SIMULATION
+// Sunucu topu, oyuncu pozisyonlarını, golleri ve maç saatini kendisi hesaplar.
+// Client'lar sadece input gönderir, sunucu snapshot yayınlar.
+const SIMULATION = {
+    TICK_RATE: 60,          // physics ticks per second
+    SNAPSHOT_RATE: 20,      // ball_sync / player_sync broadcasts per second
+    FIELD_WIDTH: 900,
+    FIELD_HEIGHT: 500,
+    GOAL_WIDTH: 140,        // goal mouth size on each end line
+    BALL_RADIUS: 10,
+    PLAYER_RADIUS: 20,
+    PLAYER_SPEED: 5,        // pixels per tick
+    BALL_FRICTION: 0.985,
+    BALL_BOUNCE: 0.8,
+    BALL_MAX_SPEED: 25,     // must stay under SecurityManager's velocity bound (50)
+    KICK_POWER: 14,
+    KICK_RANGE: 8,          // extra reach beyond touching distance
+    GOAL_PAUSE_MS: 3000,    // celebration / replay pause before kickoff
+    PRE_MATCH_MS: 3000,     // countdown between game_start and kickoff
+    HALF_TIME_TIMEOUT_MS: 60000, // second half starts even if someone never sends half_time_ready
+    EXTRA_TIME_RATIO: 0.25, // extra time length as a share of matchDuration
+    PENALTY_ROUNDS: 5,
+    PENALTY_KICK_MS: 10000  // time to pick a direction before one is picked at random
+};
 
-// 🛡️ Apply security middleware (if available)
-if (helmet) {
-    app.use(helmet({
-        contentSecurityPolicy: {
-            directives: {
-                defaultSrc: ["'self'"],
-                scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.socket.io"],
-                styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-                fontSrc: ["'self'", "https://fonts.gstatic.com"],
-                imgSrc: ["'self'", "data:", "https:"],
-                connectSrc: ["'self'", "ws:", "wss:"]
-            }
+// Maç fazları ve izin verilen geçişler - sunucu dışında hiçbir şey fazı değiştiremez
+const MATCH_PHASE_TRANSITIONS = {
+    pre_match: ['first_half'],
+    first_half: ['half_time', 'finished'], // mercy rule ilk yarıda da bitirebilir
+    half_time: ['second_half'],
+    second_half: ['extra_time', 'penalties', 'finished'],
+    extra_time: ['penalties', 'finished'],
+    penalties: ['finished'],
+    finished: []
+};
+
+// Beraberlikte ne olacağı: draw, extra_time, penalties, extra_time_penalties
+const DRAW_RESOLUTIONS = ['draw', 'extra_time', 'penalties', 'extra_time_penalties'];
+const PENALTY_DIRECTIONS = ['left', 'center', 'right'];
+
+// 👥 Takımlar - home (host tarafı, sağ kaleye hücum eder) ve away
+const TEAMS = ['home', 'away'];
+
+// 🏟️ Oda ayarlarında kabul edilen değerler - stadyum, hava, süre ve kural setleri config/rules.json'dan gelir
+const GAME_MODES = ['1v1', '2v2', '3v3', '4v4', '5v5'];
+const RULES_FILE = process.env.RULES_FILE || path.join(__dirname, 'config', 'rules.json');
+const PHYSICS_MODIFIERS = ['playerSpeed', 'ballFriction', 'ballBounce', 'kickPower']; // SIMULATION değerlerinin çarpanları
+
+class RulesCatalogue {
+    // Geçersiz katalog başlangıçta hata fırlatır - yarım kurallarla sunucu açılmaz
+    constructor(config) {
+        const fail = message => { throw new Error(`Invalid rules catalogue: ${message}`); };
+        const isMap = value => value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0;
+        
+        if (!isMap(config.stadiums)) fail('stadiums must be a non-empty object');
+        if (!isMap(config.weather)) fail('weather must be a non-empty object');
+        if (!isMap(config.rulesets)) fail('rulesets must be a non-empty object');
+        if (!Array.isArray(config.durations) || !config.durations.every(d => Number.isInteger(d) && d >= 30 && d <= 600)) {
+            fail('durations must be integers between 30 and 600');
         }
-    }));
+        
+        [['stadiums', config.stadiums], ['weather', config.weather]].forEach(([section, entries]) => {
+            Object.entries(entries).forEach(([id, entry]) => {
+                Object.entries(entry.physics || {}).forEach(([modifier, value]) => {
+                    if (!PHYSICS_MODIFIERS.includes(modifier)) fail(`${section}.${id}: unknown physics modifier ${modifier}`);
+                    if (typeof value !== 'number' || value < 0.5 || value > 1.5) fail(`${section}.${id}.${modifier} must be between 0.5 and 1.5`);
+                });
+            });
+        });
+        
+        Object.entries(config.rulesets).forEach(([id, ruleset]) => {
+            if (!config.durations.includes(ruleset.matchDuration)) fail(`rulesets.${id}.matchDuration must be one of durations`);
+            if (!DRAW_RESOLUTIONS.includes(ruleset.drawResolution)) fail(`rulesets.${id}.drawResolution must be one of ${DRAW_RESOLUTIONS.join(', ')}`);
+            if (ruleset.mercyRule !== null && !(Number.isInteger(ruleset.mercyRule) && ruleset.mercyRule > 0)) fail(`rulesets.${id}.mercyRule must be null or a positive integer`);
+        });
+        
+        const defaults = config.defaults || {};
+        if (!config.rulesets[defaults.ruleset]) fail('defaults.ruleset must name a ruleset');
+        if (!config.stadiums[defaults.stadium]) fail('defaults.stadium must name a stadium');
+        if (!config.weather[defaults.weather]) fail('defaults.weather must name a weather preset');
+        
+        this.defaults = defaults;
+        this.durations = config.durations.slice().sort((a, b) => a - b);
+        this.stadiums = config.stadiums;
+        this.weather = config.weather;
+        this.rulesets = config.rulesets;
+    }
+    
+    static load(filePath) {
+        return new RulesCatalogue(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+    
+    getRuleset(rulesetId) {
+        return Object.prototype.hasOwnProperty.call(this.rulesets, rulesetId) ? { id: rulesetId, ...this.rulesets[rulesetId] } : null;
+    }
+    
+    // Stadyum ve hava çarpanları birlikte uygulanır; sürtünme 1'e ulaşırsa top hiç durmaz
+    getPhysics(stadiumId, weatherId) {
+        const modifiers = [this.stadiums[stadiumId], this.weather[weatherId]].map(entry => (entry && entry.physics) || {});
+        const factor = name => modifiers.reduce((product, physics) => product * (physics[name] || 1), 1);
+        return {
+            playerSpeed: SIMULATION.PLAYER_SPEED * factor('playerSpeed'),
+            ballFriction: Math.min(0.999, SIMULATION.BALL_FRICTION * factor('ballFriction')),
+            ballBounce: Math.min(1, SIMULATION.BALL_BOUNCE * factor('ballBounce')),
+            kickPower: SIMULATION.KICK_POWER * factor('kickPower')
+        };
+    }
+    
+    // Client'lar için özet - get_rules ve /api/rules
+    describe() {
+        const summarize = entries => Object.entries(entries).map(([id, entry]) => ({ id, name: entry.name || id, physics: entry.physics || {} }));
+        return {
+            defaults: this.defaults,
+            durations: this.durations,
+            stadiums: summarize(this.stadiums),
+            weather: summarize(this.weather),
+            rulesets: Object.keys(this.rulesets).map(id => this.getRuleset(id))
+        };
+    }
 }
 
-if (limiter) {
-    app.use(limiter);
-}
+const rulesCatalogue = RulesCatalogue.load(RULES_FILE);
+const STADIUMS = Object.keys(rulesCatalogue.stadiums);
+const WEATHER_TYPES = Object.keys(rulesCatalogue.weather);
 
-// Add security headers
-app.use((req, res, next) => {
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'DENY');
-    res.setHeader('X-XSS-Protection', '1; mode=block');
-    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
-    next();
-});
+class MatchSimulation {
+    constructor(room, now = Date.now()) {
+        this.roomId = room.id;
+        this.matchDuration = room.matchDuration;
+        this.extraTimeDuration = Math.round(room.matchDuration * SIMULATION.EXTRA_TIME_RATIO);
+        this.drawResolution = DRAW_RESOLUTIONS.includes(room.drawResolution) ? room.drawResolution : 'draw';
+        this.goldenGoal = !!room.goldenGoal;   // uzatmada ilk gol maçı bitirir
+        this.mercyRule = room.mercyRule || null; // bu kadar gol farkında maç biter
+        this.physics = rulesCatalogue.getPhysics(room.stadium, room.weather);
+        this.endReason = null;
+        this.tick = 0;
+        this.gameTime = 0; // seconds, only advances while the ball is in play
+        this.half = 1;
+        this.phase = 'pre_match'; // see MATCH_PHASE_TRANSITIONS
+        this.phaseEndsAt = now + SIMULATION.PRE_MATCH_MS;
+        this.state = 'running'; // running, goal_pause, paused (within a playing phase)
+        this.stateBeforePause = null;
+        this.pausedAt = 0;
+        this.pauseUntil = 0;
+        this.score = { home: 0, away: 0 };
+        this.goals = [];
+        this.penalties = null;
+        this.halfTimeEndedEarly = false;
+        this.lastTouch = null;
+        this.ball = { x: 0, y: 0, vx: 0, vy: 0 };
+        this.players = new Map(); // socketId -> player entity
 
-const server = http.createServer(app);
-const io = socketIO(server, {
-    cors: {
-        origin: "*",
-        methods: ["GET", "POST"],
-        credentials: false
-    },
-    // 🛡️ Socket.IO security options
-    allowEIO3: false,
-    transports: ['websocket', 'polling'],
-    pingTimeout: 60000,
-    pingInterval: 25000
-});
+        room.players.forEach(p => {
+            this.addPlayer(p, p.team || (p.id === room.host.id ? 'home' : 'away'));
+        });
+        this.resetKickoff();
+    }
 
-// Static dosyaları servis et (mevcut klasörden)
-app.use(express.static(__dirname));
+    addPlayer(roomPlayer, side) {
+        this.players.set(roomPlayer.id, {
+            socketId: roomPlayer.id,
+            playerId: roomPlayer.playerId,
+            name: roomPlayer.name,
+            side,
+            x: 0,
+            y: 0,
+            vx: 0,
+            vy: 0,
+            input: { dx: 0, dy: 0 },
+            kickRequested: false,
+            lastInputSeq: 0
+        });
+    }
 
-// Oyuncu odaları için veri yapısı
-let rooms = {};
-let playerCount = 0;
+    removePlayer(socketId) {
+        this.players.delete(socketId);
+    }
 
-// Online leaderboard - oyuncu istatistikleri
-let onlineLeaderboard = {}; // { playerName: { wins: 0, losses: 0, goals: 0, goalsAgainst: 0 } }
+    isPlayingPhase() {
+        return this.phase === 'first_half' || this.phase === 'second_half' || this.phase === 'extra_time';
+    }
 
-// Registered players and pending friend requests
-let registeredPlayers = new Set(); // Players who have played at least once
-let pendingFriendRequests = {}; // { playerName: [{ from, timestamp, id }] }
+    // Client input: dx/dy in [-1, 1], kick is edge-triggered
+    applyInput(socketId, input) {
+        const player = this.players.get(socketId);
+        if (!player || !this.isPlayingPhase()) return false;
 
-// Function to deliver pending friend requests when player comes online
-function deliverPendingFriendRequests(socket, playerName) {
-    if (pendingFriendRequests[playerName] && pendingFriendRequests[playerName].length > 0) {
-        console.log(`📬 Delivering ${pendingFriendRequests[playerName].length} pending friend requests to ${playerName}`);
-        
-        pendingFriendRequests[playerName].forEach(request => {
-            socket.emit('friend_request_received', {
-                id: request.id,
-                from: request.from,
-                timestamp: request.timestamp
+        const seq = Number(input.seq) || 0;
+        if (seq && seq <= player.lastInputSeq) return false; // out of order / replayed
+
+        const clamp = v => Math.max(-1, Math.min(1, Number(v) || 0));
+        player.input = { dx: clamp(input.dx), dy: clamp(input.dy) };
+        if (input.kick) player.kickRequested = true;
+        if (seq) player.lastInputSeq = seq;
+        return true;
+    }
+
+    resetKickoff() {
+        const { FIELD_WIDTH, FIELD_HEIGHT } = SIMULATION;
+        this.ball = { x: FIELD_WIDTH / 2, y: FIELD_HEIGHT / 2, vx: 0, vy: 0 };
+        this.lastTouch = null;
+
+        ['home', 'away'].forEach(side => {
+            const teamPlayers = Array.from(this.players.values()).filter(p => p.side === side);
+            const x = side === 'home' ? FIELD_WIDTH * 0.25 : FIELD_WIDTH * 0.75;
+            teamPlayers.forEach((p, i) => {
+                p.x = x;
+                p.y = FIELD_HEIGHT * (i + 1) / (teamPlayers.length + 1);
+                p.vx = 0;
+                p.vy = 0;
             });
         });
-        
-        // Clear delivered requests
-        delete pendingFriendRequests[playerName];
     }
-}
 
-// 🛡️ Secure socket wrapper (simplified for compatibility)
-function secureSocketHandler(socket, eventName, handler, rateLimit = 20) {
-    socket.on(eventName, (data) => {
-        // Check if socket is blocked
-        if (securityManager.isBlocked(socket.id)) {
-            console.warn(`🚨 Blocked socket attempted ${eventName}: ${socket.id}`);
-            socket.emit('security_error', { message: 'Access denied', code: 'BLOCKED' });
-            return;
+    // Geçersiz faz geçişi bir programlama hatasıdır
+    transition(nextPhase, now, extra = {}) {
+        if (!MATCH_PHASE_TRANSITIONS[this.phase].includes(nextPhase)) {
+            throw new Error(`Invalid match phase transition ${this.phase} -> ${nextPhase}`);
         }
-        
-        // Rate limiting (more lenient)
-        if (!securityManager.checkRateLimit(socket.id, eventName, rateLimit)) {
-            console.warn(`⚠️ Rate limit for ${eventName}: ${socket.id}`);
-            // Don't block, just warn
+
+        this.phase = nextPhase;
+        this.state = 'running';
+        this.phaseEndsAt = 0;
+        if (nextPhase === 'half_time') {
+            this.phaseEndsAt = now + SIMULATION.HALF_TIME_TIMEOUT_MS;
         }
-        
-        try {
-            handler(data);
-        } catch (error) {
-            console.error(`Error in ${eventName}:`, error);
+        if (nextPhase === 'second_half') {
+            this.half = 2;
         }
-    });
-}
-
-// Socket.IO bağlantısı
-io.on('connection', (socket) => {
-    const playerId = ++playerCount;
-    console.log(`Player ${playerId} connected (${socket.id})`);
+        if (nextPhase !== 'finished') {
+            this.resetKickoff();
+        }
+        return { type: 'phase', phase: nextPhase, ...extra };
+    }
 
-    socket.playerId = playerId;
-    socket.playerName = null;
-    
-    // 🛡️ Connection security check
-    const clientIP = socket.handshake.address;
-    console.log(`🔍 Connection from IP: ${clientIP}`);
-    
-    // Track connection attempts per IP
-    if (!securityManager.checkRateLimit(clientIP, 'connection', 5)) {
-        console.warn(`🚨 Too many connections from IP: ${clientIP}`);
-        socket.disconnect(true);
-        return;
+    // Everyone sent half_time_ready: the next tick starts the second half
+    endHalfTime(now) {
+        if (this.phase !== 'half_time') return false;
+        this.phaseEndsAt = now;
+        this.halfTimeEndedEarly = true;
+        return true;
     }
 
-    // 🛡️ Secure event handlers
-    secureSocketHandler(socket, 'create_room', (data) => {
-        const roomId = `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        const roomData = {
-            id: roomId,
-            name: data.roomName || `${data.playerName}'s Room`,
-            host: {
-                id: socket.id,
-                playerId: playerId,
-                name: data.playerName || `Player ${playerId}`
-            },
-            players: [{
-                id: socket.id,
-                playerId: playerId,
-                name: data.playerName || `Player ${playerId}`,
-                ready: false
-            }],
-            maxPlayers: data.maxPlayers || 2,
-            gameMode: data.gameMode || '1v1',
-            stadium: data.stadium || 'rf-stadium',
-            weather: data.weather || 'normal',
-            matchDuration: data.matchDuration || 120, // Saniye cinsinden
-            isPrivate: data.isPrivate || false,
-            password: data.password || null,
-            status: 'waiting', // waiting, playing, finished
-            createdAt: Date.now()
-        };
+    // Bağlantısı kopan oyuncu beklenirken maç (ve saat, faz zamanlayıcıları) durur
+    pause(now = Date.now()) {
+        if (this.state === 'paused' || this.phase === 'finished') return;
+        this.stateBeforePause = this.state;
+        this.state = 'paused';
+        this.pausedAt = now;
+    }
 
-        rooms[roomId] = roomData;
-        socket.join(roomId);
-        socket.currentRoom = roomId;
-        socket.playerName = data.playerName;
-        
-        // Register player and deliver pending friend requests
-        registeredPlayers.add(data.playerName);
-        deliverPendingFriendRequests(socket, data.playerName);
+    unpause(now = Date.now()) {
+        if (this.state !== 'paused') return;
+        const pausedFor = now - this.pausedAt;
+        if (this.phaseEndsAt) this.phaseEndsAt += pausedFor;
+        if (this.pauseUntil) this.pauseUntil += pausedFor;
+        if (this.penalties && this.penalties.deadline) this.penalties.deadline += pausedFor;
+        this.state = this.stateBeforePause;
+        this.stateBeforePause = null;
+    }
 
-        socket.emit('room_created', { roomId, room: roomData });
-        broadcastRoomList();
+    // Reconnected player takes over the seat with a new socket id
+    rebindPlayer(oldSocketId, newSocketId) {
+        const player = this.players.get(oldSocketId);
+        if (!player) return;
+        this.players.delete(oldSocketId);
+        player.socketId = newSocketId;
+        player.input = { dx: 0, dy: 0 };
+        player.lastInputSeq = 0;
+        this.players.set(newSocketId, player);
+        if (this.lastTouch === oldSocketId) this.lastTouch = newSocketId;
+    }
 
-        console.log(`Room created: ${roomId} by ${data.playerName}`);
-    }, 2); // Max 2 room creations per minute
+    // Advance one fixed tick, returns the events produced by this tick
+    step(now) {
+        const events = [];
+        if (this.phase === 'finished' || this.state === 'paused') return events;
 
-    // Oda listesini al
-    socket.on('get_rooms', () => {
-        const publicRooms = Object.values(rooms).filter(r => !r.isPrivate && r.status === 'waiting');
-        socket.emit('rooms_list', publicRooms);
-    });
+        if (this.phase === 'pre_match' || this.phase === 'half_time') {
+            if (now >= this.phaseEndsAt) {
+                events.push(this.phase === 'pre_match'
+                    ? this.transition('first_half', now)
+                    : this.transition('second_half', now, { autoResumed: !this.halfTimeEndedEarly }));
+            }
+            return events;
+        }
 
-    // Odaya katıl
-    secureSocketHandler(socket, 'join_room', (data) => {
-        console.log('📥 Join room request:', data);
-        
-        const room = rooms[data.roomId];
-        
-        if (!room) {
-            console.log('❌ Room not found:', data.roomId);
-            socket.emit('join_error', { message: 'Oda bulunamadı' });
-            return;
+        if (this.phase === 'penalties') {
+            return this.stepPenalties(now);
         }
 
-        if (room.status !== 'waiting') {
-            console.log('❌ Game already started');
-            socket.emit('join_error', { message: 'Oyun zaten başlamış' });
-            return;
+        if (this.state === 'goal_pause') {
+            if (now < this.pauseUntil) return events;
+            this.resetKickoff();
+            this.state = 'running';
         }
 
-        if (room.players.length >= room.maxPlayers) {
-            console.log('❌ Room full');
-            socket.emit('join_error', { message: 'Oda dolu' });
-            return;
+        this.tick++;
+        this.gameTime += 1 / SIMULATION.TICK_RATE;
+
+        this.players.forEach(player => this.stepPlayer(player));
+        this.stepBall();
+
+        const goalSide = this.checkGoal();
+        if (goalSide) {
+            this.score[goalSide]++;
+            const scorer = this.lastTouch ? this.players.get(this.lastTouch) : null;
+            const goal = {
+                side: goalSide,
+                scorer: scorer ? scorer.name : null,
+                ownGoal: !!scorer && scorer.side !== goalSide,
+                gameTime: this.gameTime,
+                score: { ...this.score }
+            };
+            this.goals.push(goal);
+            this.state = 'goal_pause';
+            this.pauseUntil = now + SIMULATION.GOAL_PAUSE_MS;
+            events.push({ type: 'goal', goal });
+            
+            const endReason = this.checkGoalEndsMatch();
+            if (endReason) {
+                this.endReason = endReason;
+                events.push(this.transition('finished', now, { reason: endReason }));
+                return events;
+            }
         }
 
-        if (room.password && room.password !== data.password) {
-            console.log('❌ Wrong password');
-            socket.emit('join_error', { message: 'Yanlış şifre' });
-            return;
+        const periodEvent = this.checkPeriodEnd(now);
+        if (periodEvent) {
+            events.push(periodEvent);
         }
 
-        const player = {
-            id: socket.id,
-            playerId: playerId,
-            name: data.playerName || `Player ${playerId}`,
-            ready: false
-        };
+        return events;
+    }
 
-        room.players.push(player);
-        socket.join(data.roomId);
-        socket.currentRoom = data.roomId;
-        socket.playerName = data.playerName;
-        
-        // Register player and deliver pending friend requests
-        registeredPlayers.add(data.playerName);
-        deliverPendingFriendRequests(socket, data.playerName);
+    // Kural setinin erken bitiş kuralları: uzatmada altın gol, fark mercyRule'a ulaşınca hükmen
+    checkGoalEndsMatch() {
+        if (this.goldenGoal && this.phase === 'extra_time') return 'golden_goal';
+        if (this.mercyRule && Math.abs(this.score.home - this.score.away) >= this.mercyRule) return 'mercy_rule';
+        return null;
+    }
 
-        // Odadaki herkese bildir
-        io.to(data.roomId).emit('player_joined', { player, room });
-        socket.emit('room_joined', { room });
-        broadcastRoomList();
+    checkPeriodEnd(now) {
+        const isDraw = this.score.home === this.score.away;
 
-        console.log(`✅ ${data.playerName} joined room ${data.roomId}`);
-    });
+        if (this.phase === 'first_half' && this.gameTime >= this.matchDuration / 2) {
+            return this.transition('half_time', now);
+        }
+        if (this.phase === 'second_half' && this.gameTime >= this.matchDuration) {
+            if (isDraw && this.drawResolution.startsWith('extra_time') && this.extraTimeDuration > 0) {
+                return this.transition('extra_time', now);
+            }
+            if (isDraw && this.drawResolution.endsWith('penalties')) {
+                return this.startPenalties(now);
+            }
+            return this.transition('finished', now);
+        }
+        if (this.phase === 'extra_time' && this.gameTime >= this.matchDuration + this.extraTimeDuration) {
+            if (isDraw && this.drawResolution.endsWith('penalties')) {
+                return this.startPenalties(now);
+            }
+            return this.transition('finished', now);
+        }
+        return null;
+    }
+
+    // 🥅 Penaltılar: sırayla atış, atan ve kaleci yön seçer; farklı yön gol demektir
+    startPenalties(now) {
+        this.penalties = {
+            score: { home: 0, away: 0 },
+            taken: { home: 0, away: 0 },
+            kicks: [],
+            kickingSide: 'home',
+            kicker: null,
+            keeper: null,
+            shot: null,
+            save: null,
+            deadline: 0
+        };
+        const event = this.transition('penalties', now);
+        this.nextPenalty(now);
+        return event;
+    }
+
+    nextPenalty(now) {
+        const penalties = this.penalties;
+        const side = penalties.kickingSide;
+        const otherSide = side === 'home' ? 'away' : 'home';
+        const kickers = Array.from(this.players.values()).filter(p => p.side === side);
+        const keepers = Array.from(this.players.values()).filter(p => p.side === otherSide);
+
+        penalties.kicker = kickers.length ? kickers[penalties.taken[side] % kickers.length] : null;
+        penalties.keeper = keepers.length ? keepers[0] : null;
+        penalties.shot = null;
+        penalties.save = null;
+        penalties.deadline = now + SIMULATION.PENALTY_KICK_MS;
+    }
+
+    // Kicker picks the shot direction, the keeper picks the dive; returns false if not their turn
+    applyPenaltyChoice(socketId, direction) {
+        const penalties = this.penalties;
+        if (this.phase !== 'penalties' || !PENALTY_DIRECTIONS.includes(direction)) return false;
+
+        if (penalties.kicker && penalties.kicker.socketId === socketId && !penalties.shot) {
+            penalties.shot = direction;
+            return true;
+        }
+        if (penalties.keeper && penalties.keeper.socketId === socketId && !penalties.save) {
+            penalties.save = direction;
+            return true;
+        }
+        return false;
+    }
+
+    stepPenalties(now) {
+        const penalties = this.penalties;
+        if (!(penalties.shot && penalties.save) && now < penalties.deadline) return [];
+
+        // Süresinde seçim yapmayan taraf için rastgele yön
+        const randomDirection = () => PENALTY_DIRECTIONS[Math.floor(Math.random() * PENALTY_DIRECTIONS.length)];
+        const side = penalties.kickingSide;
+        const shot = penalties.shot || randomDirection();
+        const save = penalties.save || randomDirection();
+        const scored = !!penalties.kicker && (!penalties.keeper || shot !== save);
+
+        penalties.taken[side]++;
+        if (scored) penalties.score[side]++;
+        const kick = {
+            side,
+            kicker: penalties.kicker ? penalties.kicker.name : null,
+            keeper: penalties.keeper ? penalties.keeper.name : null,
+            shot,
+            save,
+            scored,
+            penaltyScore: { ...penalties.score }
+        };
+        penalties.kicks.push(kick);
+
+        const events = [{ type: 'penalty_kick', kick }];
+        if (this.penaltyWinner()) {
+            events.push(this.transition('finished', now));
+        } else {
+            penalties.kickingSide = side === 'home' ? 'away' : 'home';
+            this.nextPenalty(now);
+            events.push({ type: 'penalty_turn' });
+        }
+        return events;
+    }
+
+    penaltyWinner() {
+        if (!this.penalties) return null;
+        const { score, taken } = this.penalties;
+        const rounds = SIMULATION.PENALTY_ROUNDS;
+
+        // Normal seri içinde yetişilemeyecek fark
+        if (taken.home <= rounds && taken.away <= rounds) {
+            if (score.home > score.away + (rounds - taken.away)) return 'home';
+            if (score.away > score.home + (rounds - taken.home)) return 'away';
+        }
+        // Ani ölüm: eşit atış sayısında fark
+        if (taken.home === taken.away && taken.home >= rounds && score.home !== score.away) {
+            return score.home > score.away ? 'home' : 'away';
+        }
+        return null;
+    }
+
+    stepPlayer(player) {
+        const { FIELD_WIDTH, FIELD_HEIGHT, PLAYER_RADIUS } = SIMULATION;
+        const { playerSpeed } = this.physics;
+        let { dx, dy } = player.input;
+        const length = Math.hypot(dx, dy);
+        if (length > 1) {
+            dx /= length;
+            dy /= length;
+        }
+
+        player.vx = dx * playerSpeed;
+        player.vy = dy * playerSpeed;
+        player.x = Math.max(PLAYER_RADIUS, Math.min(FIELD_WIDTH - PLAYER_RADIUS, player.x + player.vx));
+        player.y = Math.max(PLAYER_RADIUS, Math.min(FIELD_HEIGHT - PLAYER_RADIUS, player.y + player.vy));
+
+        // Player-ball contact
+        const { BALL_RADIUS, KICK_RANGE } = SIMULATION;
+        const { kickPower } = this.physics;
+        const distX = this.ball.x - player.x;
+        const distY = this.ball.y - player.y;
+        const dist = Math.hypot(distX, distY) || 0.0001;
+        const nx = distX / dist;
+        const ny = distY / dist;
+        const touchDistance = PLAYER_RADIUS + BALL_RADIUS;
+
+        if (player.kickRequested && dist <= touchDistance + KICK_RANGE) {
+            this.ball.vx += nx * kickPower;
+            this.ball.vy += ny * kickPower;
+            this.lastTouch = player.socketId;
+        } else if (dist < touchDistance) {
+            // Push the ball out of the player and carry its momentum
+            this.ball.x = player.x + nx * touchDistance;
+            this.ball.y = player.y + ny * touchDistance;
+            const approach = player.vx * nx + player.vy * ny;
+            this.ball.vx += nx * Math.max(approach, 1);
+            this.ball.vy += ny * Math.max(approach, 1);
+            this.lastTouch = player.socketId;
+        }
+        player.kickRequested = false;
+    }
+
+    stepBall() {
+        const { FIELD_WIDTH, FIELD_HEIGHT, GOAL_WIDTH, BALL_RADIUS, BALL_MAX_SPEED } = SIMULATION;
+        const { ballFriction, ballBounce } = this.physics;
+        const ball = this.ball;
+
+        const speed = Math.hypot(ball.vx, ball.vy);
+        if (speed > BALL_MAX_SPEED) {
+            ball.vx = ball.vx / speed * BALL_MAX_SPEED;
+            ball.vy = ball.vy / speed * BALL_MAX_SPEED;
+        }
+
+        ball.x += ball.vx;
+        ball.y += ball.vy;
+        ball.vx *= ballFriction;
+        ball.vy *= ballFriction;
+
+        if (ball.y < BALL_RADIUS || ball.y > FIELD_HEIGHT - BALL_RADIUS) {
+            ball.y = Math.max(BALL_RADIUS, Math.min(FIELD_HEIGHT - BALL_RADIUS, ball.y));
+            ball.vy = -ball.vy * ballBounce;
+        }
+
+        // End lines bounce everywhere except the goal mouth
+        const inGoalMouth = Math.abs(ball.y - FIELD_HEIGHT / 2) < GOAL_WIDTH / 2;
+        if (!inGoalMouth && (ball.x < BALL_RADIUS || ball.x > FIELD_WIDTH - BALL_RADIUS)) {
+            ball.x = Math.max(BALL_RADIUS, Math.min(FIELD_WIDTH - BALL_RADIUS, ball.x));
+            ball.vx = -ball.vx * ballBounce;
+        }
+    }
+
+    // Ball fully over the line inside the goal mouth; home attacks the right goal
+    checkGoal() {
+        const { FIELD_WIDTH, BALL_RADIUS } = SIMULATION;
+        if (this.ball.x < -BALL_RADIUS) return 'away';
+        if (this.ball.x > FIELD_WIDTH + BALL_RADIUS) return 'home';
+        return null;
+    }
+
+    // Penaltılarla biten maçta skor beraberedir, kazananı seri belirler
+    getWinnerSide() {
+        if (this.score.home !== this.score.away) {
+            return this.score.home > this.score.away ? 'home' : 'away';
+        }
+        return this.penaltyWinner();
+    }
+
+    getResult() {
+        const winnerSide = this.getWinnerSide();
+        return {
+            score: { ...this.score },
+            penalties: this.penalties ? { ...this.penalties.score } : null,
+            endReason: this.endReason,
+            goals: this.goals.slice(),
+            duration: this.gameTime,
+            players: Array.from(this.players.values()).map(p => {
+                const opponentSide = p.side === 'home' ? 'away' : 'home';
+                return {
+                    name: p.name,
+                    side: p.side,
+                    score: this.score[p.side],
+                    opponentScore: this.score[opponentSide],
+                    won: winnerSide === p.side,
+                    lost: winnerSide === opponentSide
+                };
+            })
+        };
+    }
+}
+
+// 💾 PERSISTENCE LAYER
+// Store arayüzü: load() -> { collection: value }, save(collection, value), flush()
+// STORAGE_DRIVER=file (varsayılan) veya memory ile seçilir
+class MemoryStore {
+    load() {
+        return {};
+    }
+    
+    save() {}
+    
+    flush() {}
+}
+
+class JsonFileStore {
+    constructor(filePath, flushDelay = 1000) {
+        this.filePath = filePath;
+        this.flushDelay = flushDelay;
+        this.data = {};
+        this.flushTimer = null;
+        this.lastError = null; // readiness son yazma hatasına bakar
+    }
+    
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                console.log(`💾 Loaded persisted data from ${this.filePath}`);
+            }
+        } catch (error) {
+            console.error(`❌ Could not read ${this.filePath}, starting with empty data:`, error.message);
+            this.data = {};
+        }
+        return { ...this.data };
+    }
+    
+    // Writes are debounced so bursts of match results end up in one write
+    save(collection, value) {
+        this.data[collection] = value;
+        
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+        }
+    }
+    
+    // Write to a temp file and rename, a crash mid-write never leaves a half file behind
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(this.data));
+            fs.renameSync(tempPath, this.filePath);
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+            console.error(`❌ Could not write ${this.filePath}:`, error.message);
+        }
+    }
+}
+
+// Client dosyaları proje kökünden servis edilir; kayıtlı veri (şifre hash'leri dahil) bu klasörün dışında durmalı
+const STATIC_ROOT = __dirname;
+const LEGACY_DATA_DIR = path.join(__dirname, 'data'); // eski varsayılan, servis edilen klasörün içinde
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(os.homedir(), '.dbs26', 'data'));
+
+function isInsideDir(parent, child) {
+    const relative = path.relative(parent, child);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+if (isInsideDir(STATIC_ROOT, DATA_DIR)) {
+    throw new Error(`DATA_DIR ${DATA_DIR} is inside the statically served folder ${STATIC_ROOT}; point DATA_DIR somewhere else`);
+}
+
+// Eski data/ klasörü bir kereye mahsus yeni varsayılan konuma taşınır
+function migrateLegacyDataDir() {
+    if (process.env.DATA_DIR || !fs.existsSync(LEGACY_DATA_DIR) || fs.existsSync(DATA_DIR)) return;
+    fs.mkdirSync(path.dirname(DATA_DIR), { recursive: true });
+    fs.cpSync(LEGACY_DATA_DIR, DATA_DIR, { recursive: true });
+    fs.rmSync(LEGACY_DATA_DIR, { recursive: true, force: true });
+    console.log(`💾 Moved persisted data from ${LEGACY_DATA_DIR} to ${DATA_DIR}`);
+}
+
+migrateLegacyDataDir();
+
+function createStorage() {
+    const driver = process.env.STORAGE_DRIVER || 'file';
+    
+    if (driver === 'memory') {
+        console.log('⚠️ Using in-memory storage, data will be lost on restart');
+        return new MemoryStore();
+    }
+    
+    return new JsonFileStore(path.join(DATA_DIR, 'store.json'));
+}
+
+const storage = createStorage();
+const storedData = storage.load();
+
+// 🌐 CLUSTER
+// Birden fazla instance aynı broker üzerinden oda listesi, presence ve oyuncuya giden event'leri paylaşır.
+// Bir odanın tüm socket'leri onu kuran instance'ta kalır (room affinity); başka instance'taki odaya
+// katılmak isteyen client WRONG_INSTANCE cevabıyla o instance'a yönlendirilir.
+//
+// ⚠️ Paylaşılan durum sadece şunlar: oda listesi, presence, oyuncuya giden event'ler, arkadaşlık grafiği
+// işlemleri ve hesapların public alanları (isim, createdAt; salt/hash instance dışına çıkmaz).
+// Geri kalan her şey (CLUSTER.LOCAL_COLLECTIONS) instance'ın kendi store'unda durur ve yayılmaz: rating,
+// leaderboard ve sezonlar, kulüpler, turnuvalar, maç kaydı/geçmişi, moderasyon... Birden fazla instance
+// çalışırken bu tablolar instance başına ayrıdır; oyuncu hangi instance'ta oynadıysa sonuç oraya yazılır.
+// Her instance kendi DATA_DIR'ını kullanmak zorunda - store.json paylaşılırsa instance'lar birbirinin yazdığını
+// ezer, bu yüzden DATA_DIR açılışta kilitlenir. File broker'da BROKER_FILE tüm instance'larda aynı yolu göstermeli.
+const CLUSTER = {
+    INSTANCE_ID: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+    PUBLIC_URL: process.env.PUBLIC_URL || null, // Client'ların bu instance'a doğrudan bağlanacağı adres
+    HEARTBEAT_MS: 5000,
+    INSTANCE_TTL_MS: 15000,
+    // Broker'dan geçmeyen, instance başına kalan store koleksiyonları
+    LOCAL_COLLECTIONS: ['ratings', 'onlineLeaderboard', 'seasonStats', 'seasons', 'offlineStats', 'registeredPlayers',
+        'clubs', 'tournaments', 'matchLedger', 'matchHistory', 'reviewQueue', 'replays', 'moderation', 'chatPreferences'],
+    POLL_MS: 100
+};
+
+// Tek process: mesajlar aynı process içinde dağıtılır
+class LocalBroker {
+    constructor() {
+        this.handlers = new Map(); // channel -> [handler]
+    }
+    
+    publish(channel, message) {
+        const handlers = this.handlers.get(channel) || [];
+        setImmediate(() => handlers.forEach(handler => handler(message)));
+    }
+    
+    subscribe(channel, handler) {
+        if (!this.handlers.has(channel)) {
+            this.handlers.set(channel, []);
+        }
+        this.handlers.get(channel).push(handler);
+    }
+    
+    close() {}
+}
+
+// Yerel çoklu process testi için: tüm instance'lar aynı dosyaya satır ekler ve yeni satırları okur
+class FileBroker {
+    constructor(filePath, pollMs = CLUSTER.POLL_MS) {
+        this.filePath = filePath;
+        this.handlers = new Map();
+        this.buffer = '';
+        
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.closeSync(fs.openSync(filePath, 'a'));
+        this.offset = fs.statSync(filePath).size; // Eski mesajlar tekrar işlenmez
+        this.pollTimer = setInterval(() => this.poll(), pollMs);
+    }
+    
+    publish(channel, message) {
+        fs.appendFileSync(this.filePath, JSON.stringify({ channel, message }) + '\n');
+    }
+    
+    subscribe(channel, handler) {
+        if (!this.handlers.has(channel)) {
+            this.handlers.set(channel, []);
+        }
+        this.handlers.get(channel).push(handler);
+    }
+    
+    poll() {
+        let size;
+        try {
+            size = fs.statSync(this.filePath).size;
+        } catch (error) {
+            return;
+        }
+        if (size < this.offset) this.offset = 0; // Dosya elle sıfırlandı
+        if (size === this.offset) return;
+        
+        const chunk = Buffer.alloc(size - this.offset);
+        const fd = fs.openSync(this.filePath, 'r');
+        fs.readSync(fd, chunk, 0, chunk.length, this.offset);
+        fs.closeSync(fd);
+        this.offset = size;
+        
+        const lines = (this.buffer + chunk.toString('utf8')).split('\n');
+        this.buffer = lines.pop();
+        lines.forEach(line => {
+            try {
+                const { channel, message } = JSON.parse(line);
+                (this.handlers.get(channel) || []).forEach(handler => handler(message));
+            } catch (error) {
+                console.error('❌ Invalid broker message:', error.message);
+            }
+        });
+    }
+    
+    close() {
+        clearInterval(this.pollTimer);
+    }
+}
+
+function createBroker() {
+    const driver = process.env.BROKER_DRIVER || 'local';
+    if (driver === 'file') {
+        const filePath = process.env.BROKER_FILE || path.join(DATA_DIR, 'cluster', 'bus.log');
+        console.log(`🌐 Cluster instance ${CLUSTER.INSTANCE_ID} using file broker ${filePath}`);
+        console.warn(`⚠️ Not shared between instances (kept in this instance's DATA_DIR ${DATA_DIR}): ${CLUSTER.LOCAL_COLLECTIONS.join(', ')}`);
+        return new FileBroker(filePath);
+    }
+    return new LocalBroker();
+}
+
+// Diğer instance'ların oda ve oyuncu kayıtları; heartbeat gelmeyen instance'ın kayıtları düşer
+class ClusterDirectory {
+    constructor(broker, instanceId) {
+        this.broker = broker;
+        this.instanceId = instanceId;
+        this.instances = new Map(); // instanceId -> { url, lastSeen }
+        this.players = new Map(); // playerName -> { instanceId, status, roomId }
+        this.rooms = new Map(); // instanceId -> [room]
+        this.handlers = {}; // type -> handler, mesaj işlendikten sonra çağrılır
+        
+        broker.subscribe('cluster', message => this.apply(message));
+    }
+    
+    on(type, handler) {
+        this.handlers[type] = handler;
+    }
+    
+    publish(type, data) {
+        this.broker.publish('cluster', { type, instanceId: this.instanceId, url: CLUSTER.PUBLIC_URL, data });
+    }
+    
+    // Sadece bu instance'a giden mesajlar
+    sendTo(instanceId, message) {
+        this.broker.publish(`instance:${instanceId}`, message);
+    }
+    
+    onDirect(handler) {
+        this.broker.subscribe(`instance:${this.instanceId}`, handler);
+    }
+    
+    apply({ type, instanceId, url, data }) {
+        if (instanceId === this.instanceId) return;
+        
+        this.instances.set(instanceId, { url, lastSeen: Date.now() });
+        
+        switch (type) {
+            case 'heartbeat':
+                // Heartbeat tam durum taşır, kaçırılan artımlı mesajlar burada düzelir
+                this.replacePlayers(instanceId, data.players);
+                this.rooms.set(instanceId, data.rooms);
+                break;
+            case 'presence':
+                this.setPlayer(instanceId, data);
+                break;
+            case 'rooms':
+                this.rooms.set(instanceId, data.rooms);
+                break;
+            case 'leave':
+                this.dropInstance(instanceId);
+                break;
+        }
+        
+        if (this.handlers[type]) this.handlers[type](data, instanceId);
+    }
+    
+    setPlayer(instanceId, { playerName, status, roomId }) {
+        const current = this.players.get(playerName);
+        if (status === 'offline') {
+            if (current && current.instanceId === instanceId) this.players.delete(playerName);
+            return;
+        }
+        this.players.set(playerName, { instanceId, status, roomId: roomId || null });
+    }
+    
+    replacePlayers(instanceId, players) {
+        this.players.forEach((entry, playerName) => {
+            if (entry.instanceId === instanceId) this.players.delete(playerName);
+        });
+        players.forEach(player => this.setPlayer(instanceId, player));
+    }
+    
+    dropInstance(instanceId) {
+        this.instances.delete(instanceId);
+        this.rooms.delete(instanceId);
+        this.replacePlayers(instanceId, []);
+    }
+    
+    expire(now = Date.now()) {
+        this.instances.forEach((instance, instanceId) => {
+            if (now - instance.lastSeen > CLUSTER.INSTANCE_TTL_MS) {
+                console.log(`🌐 Instance ${instanceId} stopped sending heartbeats`);
+                this.dropInstance(instanceId);
+            }
+        });
+    }
+    
+    locatePlayer(playerName) {
+        return this.players.get(playerName) || null;
+    }
+    
+    findRoom(roomId) {
+        for (const [instanceId, rooms] of this.rooms) {
+            const room = rooms.find(r => r.id === roomId);
+            if (room) return { instanceId, url: this.instances.get(instanceId).url, room };
+        }
+        return null;
+    }
+    
+    remoteRooms() {
+        const result = [];
+        this.rooms.forEach((rooms, instanceId) => {
+            const url = this.instances.get(instanceId).url;
+            rooms.forEach(room => result.push({ ...room, instanceId, instanceUrl: url }));
+        });
+        return result;
+    }
+    
+    getInstances() {
+        return [{ instanceId: this.instanceId, url: CLUSTER.PUBLIC_URL, self: true }]
+            .concat(Array.from(this.instances, ([instanceId, instance]) => ({ instanceId, url: instance.url, lastSeen: instance.lastSeen })));
+    }
+}
+
+const clusterBroker = createBroker();
+const cluster = new ClusterDirectory(clusterBroker, CLUSTER.INSTANCE_ID);
+
+// 🔒 DATA_DIR kilidi - heartbeat ile tazelenir; canlı başka bir instance'a ait kilit varsa sunucu açılmaz
+const DATA_DIR_LOCK = path.join(DATA_DIR, 'instance.lock');
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+// Kilit yok ya da okunamıyorsa null - sahipsiz sayılır
+function readDataDirLock() {
+    try {
+        return JSON.parse(fs.readFileSync(DATA_DIR_LOCK, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function lockDataDir() {
+    if (!(storage instanceof JsonFileStore)) return;
+    
+    const owner = readDataDirLock();
+    const stale = !owner || Date.now() - owner.heartbeatAt > CLUSTER.INSTANCE_TTL_MS ||
+        (owner.hostname === os.hostname() && !isProcessAlive(owner.pid));
+    if (owner && owner.instanceId !== CLUSTER.INSTANCE_ID && !stale) {
+        throw new Error(`DATA_DIR ${DATA_DIR} is in use by instance ${owner.instanceId}; give each instance its own DATA_DIR`);
+    }
+    writeDataDirLock();
+}
+
+// Duraklayıp kilidi kaybeden instance (kilit bayatlayınca başkası almış olabilir) kilidi geri yazmaz
+function refreshDataDirLock() {
+    if (!(storage instanceof JsonFileStore)) return;
+    const owner = readDataDirLock();
+    if (owner && owner.instanceId !== CLUSTER.INSTANCE_ID) {
+        console.error(`❌ DATA_DIR ${DATA_DIR} lock is held by instance ${owner.instanceId}; not refreshing it. Restart this instance with its own DATA_DIR`);
+        return;
+    }
+    writeDataDirLock();
+}
+
+function writeDataDirLock() {
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.writeFileSync(DATA_DIR_LOCK, JSON.stringify({
+            instanceId: CLUSTER.INSTANCE_ID,
+            hostname: os.hostname(),
+            pid: process.pid,
+            heartbeatAt: Date.now()
+        }));
+    } catch (error) {
+        console.error(`❌ Could not write ${DATA_DIR_LOCK}:`, error.message);
+    }
+}
+
+function releaseDataDirLock() {
+    if (!(storage instanceof JsonFileStore)) return;
+    try {
+        const owner = readDataDirLock();
+        if (owner && owner.instanceId === CLUSTER.INSTANCE_ID) fs.unlinkSync(DATA_DIR_LOCK);
+    } catch (error) {
+        // Kilit zaten yok
+    }
+}
+
+lockDataDir();
+
+// 🔐 ACCOUNT & SESSION MANAGER
+// Şifreler salt'lı scrypt hash olarak saklanır, oturumlar HMAC imzalı token ile taşınır
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const PLAYER_NAME_PATTERN = /^[\p{L}\p{N}_ -]{3,20}$/u;
+
+class AccountManager {
+    constructor(accounts, secret) {
+        this.accounts = accounts; // { playerName: { name, salt, hash, createdAt } } - başka instance'tan gelenler { name, createdAt, instanceId }
+        this.secret = secret;
+        this.pending = new Set(); // hash'i hesaplanan, henüz yazılmamış isimler
+    }
+    
+    hashPassword(password, salt) {
+        return new Promise((resolve, reject) => {
+            crypto.scrypt(password, salt, 64, (error, key) => {
+                if (error) reject(error);
+                else resolve(key.toString('hex'));
+            });
+        });
+    }
+    
+    // accounts düz obje; 'constructor' gibi prototip anahtarları hesap sayılmaz
+    has(playerName) {
+        return typeof playerName === 'string' && Object.hasOwn(this.accounts, playerName);
+    }
+    
+    async register(playerName, password) {
+        if (typeof playerName !== 'string' || !PLAYER_NAME_PATTERN.test(playerName)) {
+            return { error: 'Player name must be 3-20 letters, digits, spaces, - or _', code: 'INVALID_NAME' };
+        }
+        if (typeof password !== 'string' || password.length < 6 || password.length > 128) {
+            return { error: 'Password must be 6-128 characters', code: 'INVALID_PASSWORD' };
+        }
+        // '__proto__' gibi adlar accounts objesine anahtar olarak yazılamaz
+        if (playerName in Object.prototype) {
+            return { error: 'Player name is not allowed', code: 'INVALID_NAME' };
+        }
+        if (this.has(playerName) || this.pending.has(playerName)) {
+            return { error: 'Player name is already taken', code: 'NAME_TAKEN' };
+        }
+        
+        // İsim hash beklenirken rezerve edilir, aynı anda gelen ikinci kayıt NAME_TAKEN alır
+        this.pending.add(playerName);
+        try {
+            const salt = crypto.randomBytes(16).toString('hex');
+            this.accounts[playerName] = {
+                name: playerName,
+                salt,
+                hash: await this.hashPassword(password, salt),
+                createdAt: Date.now()
+            };
+        } finally {
+            this.pending.delete(playerName);
+        }
+        storage.save('accounts', this.accounts);
+        
+        return { playerName, token: this.issueToken(playerName) };
+    }
+    
+    // Diğer instance'lara giden kayıt - salt/hash instance dışına çıkmaz
+    publicRecord(playerName) {
+        const { name, createdAt } = this.accounts[playerName];
+        return { name, createdAt };
+    }
+    
+    // Başka instance'ta açılan hesap - varsa yerel kayıt korunur
+    // Hash'i olmayan kayıt isim rezervasyonu ve token doğrulaması içindir, şifre kontrolü ev instance'ında yapılır
+    importAccount(account, instanceId) {
+        if (!account || typeof account.name !== 'string' || account.name in Object.prototype || this.has(account.name)) return;
+        this.accounts[account.name] = { name: account.name, createdAt: account.createdAt, instanceId };
+        storage.save('accounts', this.accounts);
+    }
+    
+    async login(playerName, password) {
+        const account = this.has(playerName) ? this.accounts[playerName] : null;
+        if (!account || typeof password !== 'string') {
+            return { error: 'Invalid player name or password', code: 'INVALID_CREDENTIALS' };
+        }
+        if (!account.hash) {
+            const home = cluster.getInstances().find(instance => instance.instanceId === account.instanceId);
+            return { error: 'Account is registered on another server', code: 'WRONG_INSTANCE', instanceId: account.instanceId, url: home ? home.url : null };
+        }
+        
+        const hash = Buffer.from(await this.hashPassword(password, account.salt), 'hex');
+        if (!crypto.timingSafeEqual(hash, Buffer.from(account.hash, 'hex'))) {
+            return { error: 'Invalid player name or password', code: 'INVALID_CREDENTIALS' };
+        }
+        
+        return { playerName, token: this.issueToken(playerName) };
+    }
+    
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+    
+    issueToken(playerName) {
+        const now = Date.now();
+        const payload = Buffer.from(JSON.stringify({ name: playerName, iat: now, exp: now + SESSION_TTL_MS })).toString('base64url');
+        return `${payload}.${this.sign(payload)}`;
+    }
+    
+    // Returns the player name bound to a valid token, null otherwise
+    verifyToken(token) {
+        if (typeof token !== 'string') return null;
+        
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+        
+        const expected = Buffer.from(this.sign(payload));
+        const given = Buffer.from(signature);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+        
+        try {
+            const { name, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (!this.has(name) || Date.now() > exp) return null;
+            return name;
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+if (!process.env.SESSION_SECRET) {
+    console.warn('⚠️ SESSION_SECRET not set, using a random secret (sessions will not survive a restart)');
+}
+const accountManager = new AccountManager(
+    storedData.accounts || {},
+    process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex')
+);
+
+// 📈 ELO RATING MANAGER
+// Sadece sunucunun doğruladığı online maçlar rating'i etkiler, her gameMode ayrı tablodur
+const RATING = {
+    INITIAL: 1500,
+    K_PROVISIONAL: 40,   // first PROVISIONAL_GAMES games move faster
+    K_ESTABLISHED: 20,
+    PROVISIONAL_GAMES: 30,
+    HISTORY_LIMIT: 100   // rating history entries kept per player and mode
+};
+
+class RatingManager {
+    constructor(tables) {
+        this.tables = tables; // { gameMode: { playerName: { name, rating, gamesPlayed, wins, losses, draws, history } } }
+    }
+    
+    // gameMode ve oyuncu adı istemciden gelebilir; prototip anahtarları ('constructor') tablo/kayıt sayılmaz
+    getTable(gameMode) {
+        return Object.hasOwn(this.tables, gameMode) ? this.tables[gameMode] : {};
+    }
+    
+    getEntry(gameMode, playerName) {
+        if (!Object.hasOwn(this.tables, gameMode)) {
+            this.tables[gameMode] = {};
+        }
+        
+        const table = this.tables[gameMode];
+        if (!Object.hasOwn(table, playerName)) {
+            table[playerName] = {
+                name: playerName,
+                rating: RATING.INITIAL,
+                gamesPlayed: 0,
+                wins: 0,
+                losses: 0,
+                draws: 0,
+                history: []
+            };
+        }
+        return table[playerName];
+    }
+    
+    // Team Elo: each player is rated against the average rating of the other side
+    recordMatch(gameMode, result) {
+        const sides = { home: [], away: [] };
+        result.players.forEach(p => sides[p.side].push(this.getEntry(gameMode, p.name)));
+        if (sides.home.length === 0 || sides.away.length === 0) return [];
+        
+        const average = entries => entries.reduce((sum, e) => sum + e.rating, 0) / entries.length;
+        const sideRatings = { home: average(sides.home), away: average(sides.away) };
+        const now = Date.now();
+        
+        const changes = result.players.map(player => {
+            const entry = this.getEntry(gameMode, player.name);
+            const opponentSide = player.side === 'home' ? 'away' : 'home';
+            const expected = 1 / (1 + Math.pow(10, (sideRatings[opponentSide] - sideRatings[player.side]) / 400));
+            const actual = player.won ? 1 : player.lost ? 0 : 0.5;
+            const k = entry.gamesPlayed < RATING.PROVISIONAL_GAMES ? RATING.K_PROVISIONAL : RATING.K_ESTABLISHED;
+            const delta = Math.round(k * (actual - expected));
+            
+            entry.rating += delta;
+            entry.gamesPlayed++;
+            if (player.won) entry.wins++;
+            else if (player.lost) entry.losses++;
+            else entry.draws++;
+            
+            entry.history.push({
+                timestamp: now,
+                rating: entry.rating,
+                delta,
+                opponents: result.players.filter(p => p.side === opponentSide).map(p => p.name),
+                score: `${player.score}-${player.opponentScore}`
+            });
+            if (entry.history.length > RATING.HISTORY_LIMIT) {
+                entry.history.splice(0, entry.history.length - RATING.HISTORY_LIMIT);
+            }
+            
+            return { name: player.name, rating: entry.rating, delta };
+        });
+        
+        storage.save('ratings', this.tables);
+        return changes;
+    }
+    
+    getLeaderboard(gameMode, page = 1, pageSize = 20) {
+        const entries = Object.values(this.getTable(gameMode))
+            .sort((a, b) => b.rating - a.rating || b.wins - a.wins);
+        const start = (page - 1) * pageSize;
+        
+        return {
+            gameMode,
+            page,
+            pageSize,
+            total: entries.length,
+            entries: entries.slice(start, start + pageSize).map((e, i) => ({
+                rank: start + i + 1,
+                name: e.name,
+                rating: e.rating,
+                gamesPlayed: e.gamesPlayed,
+                wins: e.wins,
+                losses: e.losses,
+                draws: e.draws
+            }))
+        };
+    }
+    
+    getRating(gameMode, playerName) {
+        const table = this.getTable(gameMode);
+        return Object.hasOwn(table, playerName) ? table[playerName].rating : RATING.INITIAL;
+    }
+    
+    getHistory(gameMode, playerName) {
+        const table = this.getTable(gameMode);
+        return Object.hasOwn(table, playerName) ? table[playerName].history : [];
+    }
+}
+
+const ratingManager = new RatingManager(storedData.ratings || {});
+
+// 🎯 MATCHMAKING QUEUE
+// Havuz gameMode'a göre ayrılır; rating penceresi ve stadyum tercihi bekledikçe genişler
+const MATCHMAKING = {
+    TICK_MS: 2000,
+    BASE_WINDOW: 100,            // rating difference accepted right away
+    WINDOW_GROWTH_PER_10S: 50,
+    MAX_WINDOW: 800,
+    STADIUM_STRICT_MS: 30000,    // stadium preference is ignored after this wait
+    START_DELAY_MS: 3000,        // countdown between match_found and game_start
+    WAIT_SAMPLES: 20             // recent waits used for the estimate
+};
+
+// '2v2' -> 4 players; anything unparseable falls back to 1v1
+function playersForGameMode(gameMode) {
+    const match = /^(\d)v(\d)$/.exec(gameMode || '');
+    return match ? Number(match[1]) + Number(match[2]) : 2;
+}
+
+class MatchmakingQueue {
+    constructor() {
+        this.pools = new Map();   // gameMode -> [entry]
+        this.entries = new Map(); // socketId -> entry
+        this.recentWaits = new Map(); // gameMode -> [ms]
+    }
+    
+    join(socket, gameMode, stadium, rating) {
+        this.leave(socket.id);
+        
+        const entry = {
+            socket,
+            playerName: socket.playerName,
+            gameMode,
+            stadium: stadium || 'any',
+            rating,
+            joinedAt: Date.now()
+        };
+        
+        if (!this.pools.has(gameMode)) {
+            this.pools.set(gameMode, []);
+        }
+        this.pools.get(gameMode).push(entry);
+        this.entries.set(socket.id, entry);
+        return entry;
+    }
+    
+    leave(socketId) {
+        const entry = this.entries.get(socketId);
+        if (!entry) return false;
+        
+        const pool = this.pools.get(entry.gameMode);
+        pool.splice(pool.indexOf(entry), 1);
+        if (pool.length === 0) {
+            this.pools.delete(entry.gameMode);
+        }
+        this.entries.delete(socketId);
+        return true;
+    }
+    
+    has(socketId) {
+        return this.entries.has(socketId);
+    }
+    
+    searchWindow(entry, now) {
+        const waited = now - entry.joinedAt;
+        return Math.min(MATCHMAKING.MAX_WINDOW,
+            MATCHMAKING.BASE_WINDOW + Math.floor(waited / 10000) * MATCHMAKING.WINDOW_GROWTH_PER_10S);
+    }
+    
+    stadiumsCompatible(a, b, now) {
+        if (a.stadium === 'any' || b.stadium === 'any' || a.stadium === b.stadium) return true;
+        return now - a.joinedAt > MATCHMAKING.STADIUM_STRICT_MS && now - b.joinedAt > MATCHMAKING.STADIUM_STRICT_MS;
+    }
+    
+    // Oldest entry anchors each group; a candidate must fit both its own and the anchor's window
+    findMatches(now) {
+        const groups = [];
+        
+        this.pools.forEach((pool, gameMode) => {
+            const needed = playersForGameMode(gameMode);
+            const waiting = pool.slice().sort((a, b) => a.joinedAt - b.joinedAt);
+            
+            while (waiting.length >= needed) {
+                const anchor = waiting.shift();
+                const group = [anchor];
+                
+                for (let i = 0; i < waiting.length && group.length < needed; i++) {
+                    const candidate = waiting[i];
+                    const diff = Math.abs(candidate.rating - anchor.rating);
+                    const fits = group.every(member => this.stadiumsCompatible(member, candidate, now));
+                    if (fits && diff <= this.searchWindow(anchor, now) && diff <= this.searchWindow(candidate, now)) {
+                        group.push(candidate);
+                        waiting.splice(i--, 1);
+                    }
+                }
+                
+                if (group.length === needed) {
+                    groups.push({ gameMode, entries: group });
+                }
+            }
+        });
+        
+        groups.forEach(group => group.entries.forEach(entry => {
+            this.recordWait(entry.gameMode, now - entry.joinedAt);
+            this.leave(entry.socket.id);
+        }));
+        return groups;
+    }
+    
+    recordWait(gameMode, waitMs) {
+        if (!this.recentWaits.has(gameMode)) {
+            this.recentWaits.set(gameMode, []);
+        }
+        const waits = this.recentWaits.get(gameMode);
+        waits.push(waitMs);
+        if (waits.length > MATCHMAKING.WAIT_SAMPLES) {
+            waits.shift();
+        }
+    }
+    
+    getStatus(entry, now) {
+        const pool = this.pools.get(entry.gameMode) || [];
+        const waits = this.recentWaits.get(entry.gameMode) || [];
+        const averageWait = waits.length ? waits.reduce((sum, w) => sum + w, 0) / waits.length : 30000;
+        const waited = now - entry.joinedAt;
+        
+        return {
+            gameMode: entry.gameMode,
+            position: pool.filter(e => e.joinedAt <= entry.joinedAt).length,
+            queueSize: pool.length,
+            waitedSeconds: Math.floor(waited / 1000),
+            estimatedWaitSeconds: Math.max(0, Math.round((averageWait - waited) / 1000)),
+            searchWindow: this.searchWindow(entry, now)
+        };
+    }
+}
+
+const matchmakingQueue = new MatchmakingQueue();
+
+// 🎬 MATCH REPLAYS
+// Frame formatı (kompakt): [t, 'S', ballX, ballY, ballVx, ballVy, [[playerId, x, y, vx, vy], ...]]
+// veya [t, 'E', eventName, data]; t = kayıt başlangıcından beri geçen ms
+const REPLAY = {
+    MAX_STORED: 500,          // oldest replay files are deleted beyond this
+    MIN_SPEED: 0.25,
+    MAX_SPEED: 4
+};
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const round1 = v => Math.round(v * 10) / 10;
+
+class ReplayRecorder {
+    constructor(room, now = Date.now()) {
+        this.startedAt = now;
+        this.meta = {
+            roomId: room.id,
+            roomName: room.name,
+            gameMode: room.gameMode,
+            stadium: room.stadium,
+            weather: room.weather,
+            matchDuration: room.matchDuration,
+            players: room.players.map(p => ({ playerId: p.playerId, name: p.name }))
+        };
+        this.frames = [];
+    }
+    
+    recordSnapshot(simulation, now = Date.now()) {
+        const { ball } = simulation;
+        this.frames.push([
+            now - this.startedAt, 'S',
+            round1(ball.x), round1(ball.y), round1(ball.vx), round1(ball.vy),
+            Array.from(simulation.players.values()).map(p => [p.playerId, round1(p.x), round1(p.y), round1(p.vx), round1(p.vy)])
+        ]);
+    }
+    
+    recordEvent(eventName, data, now = Date.now()) {
+        this.frames.push([now - this.startedAt, 'E', eventName, data]);
+    }
+    
+    finish(result) {
+        return {
+            id: `replay_${this.startedAt}_${crypto.randomBytes(4).toString('hex')}`,
+            version: 1,
+            ...this.meta,
+            startedAt: this.startedAt,
+            duration: Date.now() - this.startedAt,
+            score: result.score,
+            penalties: result.penalties,
+            frames: this.frames
+        };
+    }
+}
+
+class ReplayStore {
+    constructor(dir, index) {
+        this.dir = dir;
+        this.index = index; // [{ id, roomName, gameMode, stadium, players, score, startedAt, duration, size }], newest last
+    }
+    
+    filePath(replayId) {
+        // Id'ler kendi ürettiğimiz formatta olmalı, path traversal'a izin verme
+        if (!/^replay_\d+_[0-9a-f]+$/.test(replayId)) return null;
+        return path.join(this.dir, `${replayId}.json.gz`);
+    }
+    
+    async save(replay) {
+        const buffer = await gzip(JSON.stringify(replay));
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(this.filePath(replay.id), buffer);
+        
+        this.index.push({
+            id: replay.id,
+            roomName: replay.roomName,
+            gameMode: replay.gameMode,
+            stadium: replay.stadium,
+            players: replay.players.map(p => p.name),
+            score: replay.score,
+            startedAt: replay.startedAt,
+            duration: replay.duration,
+            size: buffer.length
+        });
+        
+        while (this.index.length > REPLAY.MAX_STORED) {
+            const oldest = this.index.shift();
+            fs.promises.unlink(this.filePath(oldest.id)).catch(() => {});
+        }
+        storage.save('replays', this.index);
+    }
+    
+    has(replayId) {
+        return this.index.some(r => r.id === replayId);
+    }
+    
+    list({ playerName, limit = 20 } = {}) {
+        return this.index
+            .filter(r => !playerName || r.players.includes(playerName))
+            .slice(-limit)
+            .reverse();
+    }
+    
+    // Raw gzip buffer, served as-is for downloads
+    async readCompressed(replayId) {
+        if (!this.has(replayId)) return null;
+        return fs.promises.readFile(this.filePath(replayId));
+    }
+    
+    async load(replayId) {
+        const buffer = await this.readCompressed(replayId);
+        return buffer ? JSON.parse((await gunzip(buffer)).toString('utf8')) : null;
+    }
+}
+
+const replayStore = new ReplayStore(path.join(DATA_DIR, 'replays'), storedData.replays || []);
+const replayRecorders = new Map(); // roomId -> ReplayRecorder
+
+// 💬 CHAT
+// Kanallar: room (oda oyuncuları), spectators (izleyiciler), lobby (herkes), direct (tek oyuncu)
+const CHAT = {
+    MAX_LENGTH: 200,
+    MAX_PER_MINUTE: 20,
+    ROOM_HISTORY: 20,
+    LOBBY_HISTORY: 50,
+    // CHAT_BANNED_WORDS=kelime1,kelime2 ile değiştirilebilir
+    BANNED_WORDS: (process.env.CHAT_BANNED_WORDS || 'amk,aq,orospu,piç,siktir,fuck,shit,bitch,asshole')
+        .split(',').map(w => w.trim().toLowerCase()).filter(Boolean)
+};
+const EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Modifier}\u200d\ufe0f]{1,8}$/u;
+
+class ChatManager {
+    constructor(preferences) {
+        this.preferences = preferences; // { playerName: { muted: [], blocked: [] } }
+        this.histories = new Map(); // channel key -> [message]
+        this.bannedPattern = CHAT.BANNED_WORDS.length
+            ? new RegExp(`(^|[^\\p{L}])(${CHAT.BANNED_WORDS.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?=$|[^\\p{L}])`, 'giu')
+            : null;
+    }
+    
+    // Returns { message } with banned words masked, or { error }
+    sanitize(text) {
+        if (typeof text !== 'string') return { error: 'Message must be text' };
+        const trimmed = text.replace(/[\u0000-\u001f]/g, '').trim();
+        if (!trimmed) return { error: 'Message is empty' };
+        if (trimmed.length > CHAT.MAX_LENGTH) return { error: `Message is longer than ${CHAT.MAX_LENGTH} characters` };
+        
+        const message = this.bannedPattern
+            ? trimmed.replace(this.bannedPattern, (match, prefix, word) => prefix + '*'.repeat(word.length))
+            : trimmed;
+        return { message };
+    }
+    
+    getPreferences(playerName) {
+        if (!Object.hasOwn(this.preferences, playerName)) {
+            this.preferences[playerName] = { muted: [], blocked: [] };
+        }
+        return this.preferences[playerName];
+    }
+    
+    // list: 'muted' | 'blocked'
+    setListed(playerName, list, target, listed) {
+        const prefs = this.getPreferences(playerName);
+        prefs[list] = prefs[list].filter(name => name !== target);
+        if (listed) prefs[list].push(target);
+        storage.save('chatPreferences', this.preferences);
+        return prefs;
+    }
+    
+    // Mute hides public channels, block also stops direct messages
+    isHidden(recipientName, senderName, channel) {
+        // Oyuncu adı istemciden gelir; 'constructor' gibi prototip anahtarları tercih sayılmaz
+        if (!Object.hasOwn(this.preferences, recipientName)) return false;
+        const prefs = this.preferences[recipientName];
+        if (prefs.blocked.includes(senderName)) return true;
+        return channel !== 'direct' && prefs.muted.includes(senderName);
+    }
+    
+    addHistory(key, message, limit) {
+        if (!this.histories.has(key)) {
+            this.histories.set(key, []);
+        }
+        const history = this.histories.get(key);
+        history.push(message);
+        if (history.length > limit) {
+            history.shift();
+        }
+    }
+    
+    getHistory(key, recipientName) {
+        return (this.histories.get(key) || []).filter(m => !this.isHidden(recipientName, m.from, m.channel));
+    }
+    
+    dropHistory(key) {
+        this.histories.delete(key);
+    }
+}
+
+const chatManager = new ChatManager(storedData.chatPreferences || {});
+
+// 👥 FRIENDS
+const FRIEND_REQUEST_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Kalıcı arkadaşlık grafiği: kabul/red sadece isteğin alıcısı tarafından, id ile yapılır
+class FriendGraph {
+    constructor(data, legacyPending) {
+        this.friends = data.friends || {}; // { playerName: [friendName] }
+        this.requests = data.requests || {}; // { requestId: { id, from, to, timestamp } }
+        
+        // Eski pendingFriendRequests kaydını bir kereye mahsus graf isteklerine taşı
+        if (legacyPending) {
+            Object.entries(legacyPending).forEach(([to, requests]) => {
+                requests.forEach(request => {
+                    if (!this.findRequest(request.from, to)) this.apply({ type: 'request', request: this.newRequest(request.from, to, request.timestamp) });
+                });
+            });
+            storage.save('pendingFriendRequests', undefined);
+            this.persist();
+        }
+    }
+    
+    persist() {
+        storage.save('friends', { friends: this.friends, requests: this.requests });
+    }
+    
+    // Her değişiklik tek bir işlem olarak uygulanır ve diğer instance'lara grafın tamamı yerine bu işlem gider
+    commit(operation) {
+        this.apply(operation);
+        this.persist();
+        cluster.publish('friends', operation);
+    }
+    
+    // Başka instance'taki değişiklik - yeniden yayınlanmaz
+    applyRemote(operation) {
+        this.apply(operation);
+        this.persist();
+    }
+    
+    // operation: { type: 'request' | 'respond' | 'remove' | 'expire', ... }
+    apply(operation) {
+        switch (operation.type) {
+            case 'request':
+                this.requests[operation.request.id] = operation.request;
+                break;
+            case 'respond':
+                delete this.requests[operation.requestId];
+                if (operation.accept) this.link(operation.from, operation.to);
+                break;
+            case 'remove':
+                this.unlink(operation.a, operation.b);
+                break;
+            case 'expire':
+                operation.requestIds.forEach(id => delete this.requests[id]);
+                break;
+        }
+    }
+    
+    getFriends(playerName) {
+        return Object.hasOwn(this.friends, playerName) ? this.friends[playerName] : [];
+    }
+    
+    areFriends(a, b) {
+        return this.getFriends(a).includes(b);
+    }
+    
+    findRequest(from, to) {
+        return Object.values(this.requests).find(r => r.from === from && r.to === to);
+    }
+    
+    newRequest(from, to, timestamp = Date.now()) {
+        return { id: crypto.randomBytes(8).toString('hex'), from, to, timestamp };
+    }
+    
+    // Returns { request } or { error }
+    createRequest(from, to) {
+        if (this.areFriends(from, to)) return { error: `${to} is already your friend` };
+        if (this.findRequest(from, to)) return { error: `Friend request to ${to} is already pending` };
+        
+        // Karşı taraf zaten istek gönderdiyse iki istek yerine direkt arkadaş yap
+        const reverse = this.findRequest(to, from);
+        if (reverse) {
+            this.respond(reverse.id, from, true);
+            return { request: reverse, accepted: true };
+        }
+        
+        const request = this.newRequest(from, to);
+        this.commit({ type: 'request', request });
+        return { request };
+    }
+    
+    // Returns { request } or { error }; only the recipient may answer
+    respond(requestId, playerName, accept) {
+        const request = Object.hasOwn(this.requests, requestId) ? this.requests[requestId] : null;
+        if (!request || request.to !== playerName) return { error: 'Friend request not found' };
+        
+        this.commit({ type: 'respond', requestId, accept: !!accept, from: request.from, to: request.to });
+        return { request };
+    }
+    
+    link(a, b) {
+        [[a, b], [b, a]].forEach(([player, friend]) => {
+            this.friends[player] = this.getFriends(player).filter(name => name !== friend).concat(friend);
+        });
+    }
+    
+    unlink(a, b) {
+        [[a, b], [b, a]].forEach(([player, friend]) => {
+            this.friends[player] = this.getFriends(player).filter(name => name !== friend);
+            if (this.friends[player].length === 0) delete this.friends[player];
+        });
+    }
+    
+    remove(a, b) {
+        if (!this.areFriends(a, b)) return false;
+        this.commit({ type: 'remove', a, b });
+        return true;
+    }
+    
+    incoming(playerName) {
+        return Object.values(this.requests).filter(r => r.to === playerName);
+    }
+    
+    outgoing(playerName) {
+        return Object.values(this.requests).filter(r => r.from === playerName);
+    }
+    
+    pruneRequests(now = Date.now()) {
+        const requestIds = Object.values(this.requests)
+            .filter(request => now - request.timestamp >= FRIEND_REQUEST_TTL_MS)
+            .map(request => request.id);
+        if (requestIds.length > 0) this.commit({ type: 'expire', requestIds });
+        return requestIds.length;
+    }
+}
+
+// İsim -> socket indeksi; aynı oyuncu birden fazla sekmeden bağlı olabilir
+class PresenceService {
+    constructor() {
+        this.sockets = new Map(); // playerName -> Set<socket>
+        this.statuses = new Map(); // playerName -> son yayınlanan durum
+    }
+    
+    add(socket) {
+        if (!this.sockets.has(socket.playerName)) {
+            this.sockets.set(socket.playerName, new Set());
+        }
+        this.sockets.get(socket.playerName).add(socket);
+    }
+    
+    remove(socket) {
+        const sockets = this.sockets.get(socket.playerName);
+        if (!sockets) return;
+        sockets.delete(socket);
+        if (sockets.size === 0) this.sockets.delete(socket.playerName);
+    }
+    
+    getSockets(playerName) {
+        return Array.from(this.sockets.get(playerName) || []);
+    }
+    
+    isOnline(playerName) {
+        return this.sockets.has(playerName) || !!cluster.locatePlayer(playerName);
+    }
+    
+    // Oyuncu bu instance'ta değilse cluster dizinindeki durumu kullanılır
+    getStatus(playerName) {
+        const local = this.getLocalStatus(playerName);
+        if (local.status !== 'offline') return local;
+        
+        const remote = cluster.locatePlayer(playerName);
+        return remote ? { status: remote.status, roomId: remote.roomId || undefined } : local;
+    }
+    
+    // offline | online | in_lobby | in_match | spectating
+    getLocalStatus(playerName) {
+        const sockets = this.getSockets(playerName);
+        if (sockets.length === 0) return { status: 'offline' };
+        
+        for (const socket of sockets) {
+            const room = socket.currentRoom && rooms[socket.currentRoom];
+            if (room) return { status: room.status === 'playing' ? 'in_match' : 'in_lobby', roomId: room.id };
+        }
+        const spectator = sockets.find(socket => socket.spectatingRoom);
+        if (spectator) return { status: 'spectating', roomId: spectator.spectatingRoom };
+        return { status: 'online' };
+    }
+    
+    // Durum değiştiyse yeni durumu döndürür, değişmediyse null
+    refresh(playerName) {
+        const presence = this.getLocalStatus(playerName);
+        const previous = this.statuses.get(playerName) || { status: 'offline' };
+        if (previous.status === presence.status && previous.roomId === presence.roomId) return null;
+        
+        if (presence.status === 'offline') this.statuses.delete(playerName);
+        else this.statuses.set(playerName, presence);
+        return presence;
+    }
+}
+
+const friendGraph = new FriendGraph(storedData.friends || {}, storedData.pendingFriendRequests);
+const presence = new PresenceService();
+
+// 🏆 TOURNAMENTS
+// Turnuva maçları 1v1 oynanır; oda yapısı normal odalarla aynıdır, sadece room.tournament alanı eklenir
+const TOURNAMENT = {
+    FORMATS: ['single_elimination', 'double_elimination', 'round_robin'],
+    MIN_PARTICIPANTS: 2,
+    MAX_PARTICIPANTS: 64,
+    DEFAULT_SIGNUP_MINUTES: 15,
+    MAX_SIGNUP_MINUTES: 7 * 24 * 60,
+    CHECK_IN_MS: 3 * 60 * 1000, // Bu sürede odaya gelmeyen oyuncu hükmen kaybeder
+    START_DELAY_MS: 5000,
+    ROOM_CLOSE_DELAY_MS: 10000,
+    WIN_POINTS: 3,
+    DRAW_POINTS: 1,
+    TICK_MS: 5000
+};
+
+class TournamentManager {
+    constructor(tournaments) {
+        this.tournaments = tournaments; // { tournamentId: tournament }
+    }
+    
+    persist() {
+        storage.save('tournaments', this.tournaments);
+    }
+    
+    get(tournamentId) {
+        return Object.hasOwn(this.tournaments, tournamentId) ? this.tournaments[tournamentId] : null;
+    }
+    
+    list() {
+        return Object.values(this.tournaments)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(t => ({
+                id: t.id,
+                name: t.name,
+                format: t.format,
+                status: t.status,
+                createdBy: t.createdBy,
+                participants: t.participants.length,
+                maxParticipants: t.maxParticipants,
+                signupClosesAt: t.signupClosesAt,
+                winner: t.winner
+            }));
+    }
+    
+    // Returns { tournament } or { error }
+    create(creator, options = {}, now = Date.now()) {
+        const name = typeof options.name === 'string' ? options.name.trim().slice(0, 50) : '';
+        if (!name) return { error: 'Tournament name is required' };
+        if (!TOURNAMENT.FORMATS.includes(options.format)) {
+            return { error: `Format must be one of ${TOURNAMENT.FORMATS.join(', ')}` };
+        }
+        
+        const signupMinutes = Math.min(TOURNAMENT.MAX_SIGNUP_MINUTES,
+            Math.max(1, parseInt(options.signupMinutes, 10) || TOURNAMENT.DEFAULT_SIGNUP_MINUTES));
+        const maxParticipants = Math.min(TOURNAMENT.MAX_PARTICIPANTS,
+            Math.max(TOURNAMENT.MIN_PARTICIPANTS, parseInt(options.maxParticipants, 10) || 16));
+        
+        const tournament = {
+            id: `tournament_${now}_${crypto.randomBytes(4).toString('hex')}`,
+            name,
+            format: options.format,
+            gameMode: '1v1',
+            stadium: STADIUMS.includes(options.stadium) ? options.stadium : rulesCatalogue.defaults.stadium,
+            matchDuration: rulesCatalogue.durations.includes(parseInt(options.matchDuration, 10))
+                ? parseInt(options.matchDuration, 10)
+                : rulesCatalogue.getRuleset(rulesCatalogue.defaults.ruleset).matchDuration,
+            // Eleme maçlarında beraberlik olamaz
+            drawResolution: options.format === 'round_robin' ? 'draw' : 'penalties',
+            maxParticipants,
+            createdBy: creator,
+            createdAt: now,
+            signupClosesAt: now + signupMinutes * 60 * 1000,
+            status: 'signup', // signup, running, finished, cancelled
+            participants: [],
+            matches: [],
+            currentRound: 0,
+            winner: null
+        };
+        
+        this.tournaments[tournament.id] = tournament;
+        this.persist();
+        return { tournament };
+    }
+    
+    signUp(tournamentId, playerName) {
+        const tournament = this.get(tournamentId);
+        if (!tournament) return { error: 'Tournament not found' };
+        if (tournament.status !== 'signup') return { error: 'Sign-up is closed' };
+        if (tournament.participants.some(p => p.name === playerName)) return { error: 'Already signed up' };
+        if (tournament.participants.length >= tournament.maxParticipants) return { error: 'Tournament is full' };
+        
+        tournament.participants.push({ name: playerName, seed: null, rating: null });
+        this.persist();
+        return { tournament };
+    }
+    
+    withdraw(tournamentId, playerName) {
+        const tournament = this.get(tournamentId);
+        if (!tournament) return { error: 'Tournament not found' };
+        if (tournament.status !== 'signup') return { error: 'Tournament already started' };
+        
+        tournament.participants = tournament.participants.filter(p => p.name !== playerName);
+        this.persist();
+        return { tournament };
+    }
+    
+    cancel(tournamentId) {
+        const tournament = this.get(tournamentId);
+        if (!tournament) return { error: 'Tournament not found' };
+        if (tournament.status === 'finished' || tournament.status === 'cancelled') return { error: 'Tournament is over' };
+        
+        tournament.status = 'cancelled';
+        this.persist();
+        return { tournament };
+    }
+    
+    // Seeds by rating and builds the bracket; returns { tournament, ready } with matches that can be played now
+    start(tournamentId, ratingOf, now = Date.now()) {
+        const tournament = this.get(tournamentId);
+        if (!tournament) return { error: 'Tournament not found' };
+        if (tournament.status !== 'signup') return { error: 'Tournament already started' };
+        
+        const minimum = tournament.format === 'double_elimination' ? 3 : TOURNAMENT.MIN_PARTICIPANTS;
+        if (tournament.participants.length < minimum) {
+            return { error: `At least ${minimum} participants are needed` };
+        }
+        
+        tournament.participants.forEach(p => p.rating = ratingOf(p.name));
+        tournament.participants.sort((a, b) => b.rating - a.rating);
+        tournament.participants.forEach((p, index) => p.seed = index + 1);
+        tournament.status = 'running';
+        tournament.startedAt = now;
+        
+        const ready = [];
+        if (tournament.format === 'round_robin') {
+            this.buildRoundRobin(tournament);
+            ready.push(...this.openRound(tournament, 1, now));
+        } else {
+            const firstRound = this.buildElimination(tournament, tournament.format === 'double_elimination');
+            // İlk tur slotları baştan belli - bye'lar burada otomatik ilerler
+            const seeded = this.seedOrder(firstRound.length * 2).map(seed => tournament.participants[seed - 1]);
+            firstRound.forEach((match, index) => {
+                ready.push(...this.settleSlot(tournament, match, 0, seeded[index * 2], now));
+                ready.push(...this.settleSlot(tournament, match, 1, seeded[index * 2 + 1], now));
+            });
+        }
+        
+        this.persist();
+        return { tournament, ready };
+    }
+    
+    // Standart sıralama: 1-8, 4-5, 2-7, 3-6 ... üst seed'ler bye alır
+    seedOrder(size) {
+        let order = [1];
+        while (order.length < size) {
+            const total = order.length * 2 + 1;
+            order = order.flatMap(seed => [seed, total - seed]);
+        }
+        return order;
+    }
+    
+    addMatch(tournament, bracket, round) {
+        const match = {
+            id: `m${tournament.matches.length + 1}`,
+            bracket, // winners, losers, grand_final, round_robin
+            round,
+            slots: [{ player: null, settled: false }, { player: null, settled: false }],
+            next: null, // { matchId, slot } - kazanan buraya gider
+            loserNext: null, // Çift elemede kaybeden alt tabloya iner
+            status: 'pending', // pending, ready, playing, finished
+            winner: null,
+            loser: null,
+            score: null,
+            forfeit: null,
+            roomId: null,
+            deadline: null
+        };
+        tournament.matches.push(match);
+        return match;
+    }
+    
+    // Returns the first-round matches
+    buildElimination(tournament, doubleElimination) {
+        let size = 2;
+        while (size < tournament.participants.length) size *= 2;
+        
+        const winnersRounds = [];
+        for (let round = 1, count = size / 2; count >= 1; round++, count /= 2) {
+            const matches = Array.from({ length: count }, () => this.addMatch(tournament, 'winners', round));
+            if (round > 1) {
+                winnersRounds[round - 2].forEach((match, index) => {
+                    match.next = { matchId: matches[Math.floor(index / 2)].id, slot: index % 2 };
+                });
+            }
+            winnersRounds.push(matches);
+        }
+        if (!doubleElimination) return winnersRounds[0];
+        
+        // Alt tablo: tek turlar kendi içinde eşleşir, çift turlarda üst tablodan düşenler gelir
+        const losersRounds = [];
+        const firstLosers = Array.from({ length: size / 4 }, () => this.addMatch(tournament, 'losers', 1));
+        winnersRounds[0].forEach((match, index) => {
+            match.loserNext = { matchId: firstLosers[Math.floor(index / 2)].id, slot: index % 2 };
+        });
+        losersRounds.push(firstLosers);
+        
+        for (let k = 1; k < winnersRounds.length; k++) {
+            const dropRound = Array.from({ length: size / Math.pow(2, k + 1) }, () => this.addMatch(tournament, 'losers', 2 * k));
+            losersRounds[losersRounds.length - 1].forEach((match, index) => {
+                match.next = { matchId: dropRound[index].id, slot: 0 };
+            });
+            // Ters sırayla bağlanır, böylece aynı oyuncular hemen tekrar karşılaşmaz
+            const dropping = winnersRounds[k];
+            dropping.forEach((match, index) => {
+                match.loserNext = { matchId: dropRound[dropping.length - 1 - index].id, slot: 1 };
+            });
+            losersRounds.push(dropRound);
+            
+            if (k < winnersRounds.length - 1) {
+                const mergeRound = Array.from({ length: dropRound.length / 2 }, () => this.addMatch(tournament, 'losers', 2 * k + 1));
+                dropRound.forEach((match, index) => {
+                    match.next = { matchId: mergeRound[Math.floor(index / 2)].id, slot: index % 2 };
+                });
+                losersRounds.push(mergeRound);
+            }
+        }
+        
+        // Büyük final tek maç: üst tablo şampiyonu alt tablo şampiyonuna karşı
+        const grandFinal = this.addMatch(tournament, 'grand_final', winnersRounds.length + 1);
+        winnersRounds[winnersRounds.length - 1][0].next = { matchId: grandFinal.id, slot: 0 };
+        losersRounds[losersRounds.length - 1][0].next = { matchId: grandFinal.id, slot: 1 };
+        
+        return winnersRounds[0];
+    }
+    
+    // Circle method: her turda bir oyuncu sabit kalır, diğerleri döner
+    buildRoundRobin(tournament) {
+        const names = tournament.participants.map(p => p.name);
+        if (names.length % 2 === 1) names.push(null);
+        
+        for (let round = 1; round < names.length; round++) {
+            for (let i = 0; i < names.length / 2; i++) {
+                const home = names[i];
+                const away = names[names.length - 1 - i];
+                if (!home || !away) continue;
+                
+                const match = this.addMatch(tournament, 'round_robin', round);
+                match.slots = [{ player: home, settled: true }, { player: away, settled: true }];
+            }
+            names.splice(1, 0, names.pop());
+        }
+    }
+    
+    openRound(tournament, round, now) {
+        tournament.currentRound = round;
+        const matches = tournament.matches.filter(m => m.round === round);
+        matches.forEach(match => this.markReady(match, now));
+        return matches;
+    }
+    
+    markReady(match, now) {
+        match.status = 'ready';
+        match.deadline = now + TOURNAMENT.CHECK_IN_MS;
+    }
+    
+    // Slot dolunca maç ya oynanmaya hazır olur ya da bye ile kendiliğinden çözülür
+    settleSlot(tournament, match, slot, participant, now) {
+        const player = participant ? (participant.name || participant) : null;
+        match.slots[slot] = { player, settled: true };
+        if (!match.slots.every(s => s.settled)) return [];
+        
+        const players = match.slots.map(s => s.player).filter(Boolean);
+        if (players.length === 2) {
+            this.markReady(match, now);
+            return [match];
+        }
+        return this.resolveMatch(tournament, match, players[0] || null, { bye: true }, now);
+    }
+    
+    resolveMatch(tournament, match, winner, details, now) {
+        const players = match.slots.map(s => s.player);
+        match.status = 'finished';
+        match.winner = winner;
+        match.loser = winner ? players.find(p => p && p !== winner) || null : null;
+        match.score = details.score || null;
+        match.forfeit = details.forfeit || null;
+        match.bye = details.bye || false;
+        match.finishedAt = now;
+        match.deadline = null;
+        
+        const ready = [];
+        const byId = id => tournament.matches.find(m => m.id === id);
+        if (match.next) {
+            ready.push(...this.settleSlot(tournament, byId(match.next.matchId), match.next.slot, match.winner, now));
+        }
+        if (match.loserNext) {
+            ready.push(...this.settleSlot(tournament, byId(match.loserNext.matchId), match.loserNext.slot, match.loser, now));
+        }
+        
+        if (tournament.format === 'round_robin') {
+            const roundDone = tournament.matches.every(m => m.round !== match.round || m.status === 'finished');
+            const lastRound = Math.max(...tournament.matches.map(m => m.round));
+            if (roundDone && match.round < lastRound) {
+                ready.push(...this.openRound(tournament, match.round + 1, now));
+            } else if (roundDone) {
+                this.complete(tournament, this.getStandings(tournament)[0].name, now);
+            }
+        } else if (!match.next && !match.loserNext) {
+            this.complete(tournament, match.winner, now);
+        }
+        return ready;
+    }
+    
+    complete(tournament, winner, now) {
+        tournament.status = 'finished';
+        tournament.winner = winner;
+        tournament.finishedAt = now;
+    }
+    
+    // result: { winner, score, forfeit }; winner null means a round-robin draw
+    recordResult(tournamentId, matchId, result, now = Date.now()) {
+        const tournament = this.get(tournamentId);
+        const match = tournament && tournament.matches.find(m => m.id === matchId);
+        if (!match || tournament.status !== 'running' || match.status === 'finished') {
+            return { error: 'Match is not open' };
+        }
+        
+        const ready = this.resolveMatch(tournament, match, result.winner, result, now);
+        this.persist();
+        return { tournament, match, ready };
+    }
+    
+    getStandings(tournament) {
+        const table = {};
+        tournament.participants.forEach(p => {
+            table[p.name] = { name: p.name, seed: p.seed, played: 0, wins: 0, draws: 0, losses: 0, goalsFor: 0, goalsAgainst: 0, points: 0 };
+        });
+        
+        tournament.matches.filter(m => m.status === 'finished' && !m.bye).forEach(match => {
+            match.slots.forEach((slot, index) => {
+                const row = table[slot.player];
+                if (!row) return;
+                row.played++;
+                if (match.score) {
+                    row.goalsFor += index === 0 ? match.score.home : match.score.away;
+                    row.goalsAgainst += index === 0 ? match.score.away : match.score.home;
+                }
+                if (match.winner === slot.player) {
+                    row.wins++;
+                    row.points += TOURNAMENT.WIN_POINTS;
+                } else if (!match.winner && !match.forfeit) {
+                    row.draws++;
+                    row.points += TOURNAMENT.DRAW_POINTS;
+                } else {
+                    row.losses++;
+                }
+            });
+        });
+        
+        return Object.values(table).sort((a, b) =>
+            b.points - a.points ||
+            (b.goalsFor - b.goalsAgainst) - (a.goalsFor - a.goalsAgainst) ||
+            b.goalsFor - a.goalsFor ||
+            a.seed - b.seed);
+    }
+    
+    getState(tournamentId) {
+        const tournament = this.get(tournamentId);
+        if (!tournament) return null;
+        return {
+            ...tournament,
+            standings: tournament.format === 'round_robin' && tournament.status !== 'signup' ? this.getStandings(tournament) : []
+        };
+    }
+}
+
+const tournamentManager = new TournamentManager(storedData.tournaments || {});
+
+
+// 🤝 CLUBS
+const CLUB = {
+    NAME_PATTERN: /^[\p{L}\p{N} _-]{3,30}$/u,
+    TAG_PATTERN: /^[A-Z0-9]{2,5}$/,
+    MAX_MEMBERS: 30,
+    ROLES: ['owner', 'officer', 'member'],
+    CHALLENGE_TTL_MS: 10 * 60 * 1000,
+    WIN_POINTS: 3,
+    DRAW_POINTS: 1
+};
+
+class ClubManager {
+    constructor(clubs) {
+        this.clubs = clubs; // { clubId: { id, name, tag, members: [{ name, role, joinedAt }], invitations, joinRequests, stats } }
+        this.memberships = new Map(); // playerName -> clubId
+        Object.values(clubs).forEach(club => club.members.forEach(m => this.memberships.set(m.name, club.id)));
+        this.challenges = new Map(); // challengeId -> { id, from, to, gameMode, status, expiresAt }
+    }
+    
+    persist() {
+        storage.save('clubs', this.clubs);
+    }
+    
+    get(clubId) {
+        // clubId istemciden gelir; prototip anahtarları ('constructor', '__proto__') kulüp değildir
+        return Object.hasOwn(this.clubs, clubId) ? this.clubs[clubId] : null;
+    }
+    
+    getPlayerClub(playerName) {
+        return this.get(this.memberships.get(playerName));
+    }
+    
+    roleOf(club, playerName) {
+        const member = club && club.members.find(m => m.name === playerName);
+        return member ? member.role : null;
+    }
+    
+    canManage(club, playerName) {
+        const role = this.roleOf(club, playerName);
+        return role === 'owner' || role === 'officer';
+    }
+    
+    // Room entries only carry the badge, not the whole club
+    getBadge(playerName) {
+        const club = this.getPlayerClub(playerName);
+        return club ? { id: club.id, name: club.name, tag: club.tag } : null;
+    }
+    
+    create(owner, options = {}, now = Date.now()) {
+        const name = typeof options.name === 'string' ? options.name.trim() : '';
+        const tag = typeof options.tag === 'string' ? options.tag.trim().toUpperCase() : '';
+        if (!CLUB.NAME_PATTERN.test(name)) return { error: 'Club name must be 3-30 letters, digits, spaces, - or _' };
+        if (!CLUB.TAG_PATTERN.test(tag)) return { error: 'Club tag must be 2-5 letters or digits' };
+        if (this.memberships.has(owner)) return { error: 'Leave your club before creating a new one' };
+        
+        const taken = Object.values(this.clubs).some(c => c.name.toLowerCase() === name.toLowerCase() || c.tag === tag);
+        if (taken) return { error: 'Club name or tag is already taken' };
+        
+        const club = {
+            id: `club_${now}_${crypto.randomBytes(4).toString('hex')}`,
+            name,
+            tag,
+            createdAt: now,
+            members: [],
+            invitations: [], // [{ id, playerName, invitedBy, timestamp }]
+            joinRequests: [], // [{ id, playerName, timestamp }]
+            stats: { wins: 0, losses: 0, draws: 0, goals: 0, goalsAgainst: 0, gamesPlayed: 0 }
+        };
+        this.clubs[club.id] = club;
+        this.addMember(club, owner, 'owner', now);
+        return { club };
+    }
+    
+    addMember(club, playerName, role, now = Date.now()) {
+        club.members.push({ name: playerName, role, joinedAt: now });
+        this.memberships.set(playerName, club.id);
+        
+        // Bir kulübe giren oyuncunun diğer davet ve başvuruları düşer
+        Object.values(this.clubs).forEach(c => {
+            c.invitations = c.invitations.filter(i => i.playerName !== playerName);
+            c.joinRequests = c.joinRequests.filter(r => r.playerName !== playerName);
+        });
+        this.persist();
+    }
+    
+    removeMember(club, playerName) {
+        club.members = club.members.filter(m => m.name !== playerName);
+        this.memberships.delete(playerName);
+        
+        // Sahip ayrılırsa en kıdemli yetkili, yoksa en eski üye sahip olur; kimse kalmazsa kulüp kapanır
+        if (club.members.length === 0) {
+            delete this.clubs[club.id];
+        } else if (!club.members.some(m => m.role === 'owner')) {
+            const heir = club.members.find(m => m.role === 'officer') || club.members[0];
+            heir.role = 'owner';
+        }
+        this.persist();
+    }
+    
+    invite(clubId, invitedBy, playerName, now = Date.now()) {
+        const club = this.get(clubId);
+        if (!this.canManage(club, invitedBy)) return { error: 'Only club officers can invite players' };
+        if (this.memberships.has(playerName)) return { error: `${playerName} is already in a club` };
+        if (club.members.length >= CLUB.MAX_MEMBERS) return { error: 'Club is full' };
+        if (club.invitations.some(i => i.playerName === playerName)) return { error: `${playerName} is already invited` };
+        
+        const invitation = { id: crypto.randomBytes(8).toString('hex'), playerName, invitedBy, timestamp: now };
+        club.invitations.push(invitation);
+        this.persist();
+        return { club, invitation };
+    }
+    
+    // Sadece davet edilen oyuncu cevaplayabilir
+    respondInvitation(invitationId, playerName, accept) {
+        const club = Object.values(this.clubs).find(c => c.invitations.some(i => i.id === invitationId && i.playerName === playerName));
+        if (!club) return { error: 'Invitation not found' };
+        
+        if (accept && this.memberships.has(playerName)) return { error: 'Leave your club first' };
+        if (accept && club.members.length >= CLUB.MAX_MEMBERS) return { error: 'Club is full' };
+        
+        club.invitations = club.invitations.filter(i => i.id !== invitationId);
+        if (accept) this.addMember(club, playerName, 'member');
+        else this.persist();
+        return { club };
+    }
+    
+    requestJoin(clubId, playerName, now = Date.now()) {
+        const club = this.get(clubId);
+        if (!club) return { error: 'Club not found' };
+        if (this.memberships.has(playerName)) return { error: 'Leave your club first' };
+        if (club.joinRequests.some(r => r.playerName === playerName)) return { error: 'Join request already sent' };
+        
+        const request = { id: crypto.randomBytes(8).toString('hex'), playerName, timestamp: now };
+        club.joinRequests.push(request);
+        this.persist();
+        return { club, request };
+    }
+    
+    // Başvuruları sahip veya yetkililer cevaplar
+    reviewJoinRequest(requestId, reviewer, accept) {
+        const club = this.getPlayerClub(reviewer);
+        const request = club && club.joinRequests.find(r => r.id === requestId);
+        if (!request || !this.canManage(club, reviewer)) return { error: 'Join request not found' };
+        
+        if (accept && club.members.length >= CLUB.MAX_MEMBERS) return { error: 'Club is full' };
+        
+        club.joinRequests = club.joinRequests.filter(r => r.id !== requestId);
+        if (accept) this.addMember(club, request.playerName, 'member');
+        else this.persist();
+        return { club, request };
+    }
+    
+    leave(playerName) {
+        const club = this.getPlayerClub(playerName);
+        if (!club) return { error: 'You are not in a club' };
+        this.removeMember(club, playerName);
+        return { club };
+    }
+    
+    // Yetkililer sadece üyeleri atabilir, sahip herkesi
+    kick(by, playerName) {
+        const club = this.getPlayerClub(by);
+        const byRole = this.roleOf(club, by);
+        const targetRole = this.roleOf(club, playerName);
+        if (!targetRole || playerName === by) return { error: `${playerName} is not in your club` };
+        if (!(byRole === 'owner' || (byRole === 'officer' && targetRole === 'member'))) {
+            return { error: 'You cannot remove this member' };
+        }
+        
+        this.removeMember(club, playerName);
+        return { club };
+    }
+    
+    // role: officer | member | owner (owner devreder, eski sahip yetkili olur)
+    setRole(by, playerName, role) {
+        const club = this.getPlayerClub(by);
+        if (this.roleOf(club, by) !== 'owner') return { error: 'Only the club owner can change roles' };
+        if (!CLUB.ROLES.includes(role)) return { error: 'Unknown role' };
+        
+        const member = club.members.find(m => m.name === playerName);
+        if (!member || playerName === by) return { error: `${playerName} is not in your club` };
+        
+        if (role === 'owner') {
+            club.members.find(m => m.name === by).role = 'officer';
+        }
+        member.role = role;
+        this.persist();
+        return { club };
+    }
+    
+    disband(by) {
+        const club = this.getPlayerClub(by);
+        if (this.roleOf(club, by) !== 'owner') return { error: 'Only the club owner can disband the club' };
+        
+        club.members.forEach(m => this.memberships.delete(m.name));
+        delete this.clubs[club.id];
+        this.persist();
+        return { club };
+    }
+    
+    // Bir maçta aynı kulüpten birden fazla oyuncu aynı tarafta olsa da kulüp tek maç sayar
+    recordMatch(result) {
+        const sides = new Map(); // clubId -> player result
+        result.players.forEach(p => {
+            const clubId = this.memberships.get(p.name);
+            if (clubId && !sides.has(clubId)) sides.set(clubId, p);
+        });
+        if (sides.size === 0) return;
+        
+        sides.forEach((player, clubId) => {
+            const stats = this.clubs[clubId].stats;
+            stats.gamesPlayed++;
+            stats.goals += player.score;
+            stats.goalsAgainst += player.opponentScore;
+            if (player.won) stats.wins++;
+            else if (player.lost) stats.losses++;
+            else stats.draws++;
+        });
+        this.persist();
+    }
+    
+    getLeaderboard(page = 1, pageSize = 20) {
+        const points = stats => stats.wins * CLUB.WIN_POINTS + stats.draws * CLUB.DRAW_POINTS;
+        const clubs = Object.values(this.clubs)
+            .filter(c => c.stats.gamesPlayed > 0)
+            .sort((a, b) => points(b.stats) - points(a.stats) ||
+                (b.stats.goals - b.stats.goalsAgainst) - (a.stats.goals - a.stats.goalsAgainst));
+        const start = (page - 1) * pageSize;
+        
+        return {
+            page,
+            pageSize,
+            total: clubs.length,
+            entries: clubs.slice(start, start + pageSize).map((club, i) => ({
+                rank: start + i + 1,
+                id: club.id,
+                name: club.name,
+                tag: club.tag,
+                members: club.members.length,
+                points: points(club.stats),
+                ...club.stats
+            }))
+        };
+    }
+    
+    // Public view: invitations and join requests are only shown to officers
+    getView(club, viewerName) {
+        const view = {
+            id: club.id,
+            name: club.name,
+            tag: club.tag,
+            createdAt: club.createdAt,
+            members: club.members,
+            stats: club.stats
+        };
+        if (this.canManage(club, viewerName)) {
+            view.invitations = club.invitations;
+            view.joinRequests = club.joinRequests;
+        }
+        return view;
+    }
+    
+    // ⚔️ Kulüp meydan okumaları kalıcı değildir, kısa süre sonra düşer
+    createChallenge(by, targetClubId, gameMode, now = Date.now()) {
+        const club = this.getPlayerClub(by);
+        const target = this.get(targetClubId);
+        if (!this.canManage(club, by)) return { error: 'Only club officers can send challenges' };
+        if (!target || target.id === club.id) return { error: 'Club not found' };
+        
+        const challenge = {
+            id: crypto.randomBytes(8).toString('hex'),
+            from: club.id,
+            to: target.id,
+            gameMode: /^\dv\d$/.test(gameMode || '') ? gameMode : '1v1',
+            status: 'pending', // pending, accepted
+            createdBy: by,
+            expiresAt: now + CLUB.CHALLENGE_TTL_MS
+        };
+        this.challenges.set(challenge.id, challenge);
+        return { challenge, club, target };
+    }
+    
+    respondChallenge(challengeId, by, accept) {
+        const challenge = this.challenges.get(challengeId);
+        const club = this.getPlayerClub(by);
+        if (!challenge || challenge.status !== 'pending' || !club || club.id !== challenge.to || !this.canManage(club, by)) {
+            return { error: 'Challenge not found' };
+        }
+        
+        if (accept) challenge.status = 'accepted';
+        else this.challenges.delete(challengeId);
+        return { challenge };
+    }
+    
+    // Kabul edilmiş meydan okuma iki kulüpten birinin yetkilisi tarafından odaya çevrilir
+    claimChallenge(challengeId, playerName) {
+        const challenge = this.challenges.get(challengeId);
+        const club = this.getPlayerClub(playerName);
+        if (!challenge || challenge.status !== 'accepted' || !club ||
+            ![challenge.from, challenge.to].includes(club.id) || !this.canManage(club, playerName)) {
+            return { error: 'Challenge not found' };
+        }
+        
+        this.challenges.delete(challengeId);
+        const opponent = this.get(club.id === challenge.from ? challenge.to : challenge.from);
+        if (!opponent) return { error: 'Opponent club no longer exists' };
+        return { challenge, club, opponent };
+    }
+    
+    pruneChallenges(now = Date.now()) {
+        this.challenges.forEach((challenge, id) => {
+            if (now >= challenge.expiresAt) this.challenges.delete(id);
+        });
+    }
+}
+
+const clubManager = new ClubManager(storedData.clubs || {});
+
+// 🛠️ MODERATION & AUDIT
+// ADMIN_PLAYERS=isim1,isim2 - bu hesaplar Bearer token ile /api/admin uçlarını kullanabilir
+const ADMIN_PLAYERS = new Set((process.env.ADMIN_PLAYERS || '').split(',').map(n => n.trim()).filter(Boolean));
+const AUDIT_LOG_LIMIT = 1000;
+
+class ModerationManager {
+    constructor(data) {
+        this.bans = data.bans || []; // [{ id, type: 'player' | 'ip', value, reason, expiresAt, createdBy, createdAt }]
+        this.mutes = data.mutes || {}; // { playerName: { reason, expiresAt, createdBy, createdAt } }
+        this.auditLog = data.auditLog || [];
+    }
+    
+    persist() {
+        storage.save('moderation', { bans: this.bans, mutes: this.mutes, auditLog: this.auditLog });
+    }
+    
+    // durationMinutes yoksa süresiz
+    expiry(durationMinutes, now) {
+        const minutes = Number(durationMinutes);
+        return minutes > 0 ? now + minutes * 60 * 1000 : null;
+    }
+    
+    isActive(entry, now = Date.now()) {
+        return entry.expiresAt === null || entry.expiresAt > now;
+    }
+    
+    ban(type, value, options, now = Date.now()) {
+        const entry = {
+            id: crypto.randomBytes(6).toString('hex'),
+            type,
+            value,
+            reason: options.reason || null,
+            expiresAt: this.expiry(options.durationMinutes, now),
+            createdBy: options.createdBy,
+            createdAt: now
+        };
+        this.bans.push(entry);
+        this.persist();
+        return entry;
+    }
+    
+    unban(banId) {
+        const ban = this.bans.find(b => b.id === banId);
+        if (!ban) return null;
+        this.bans = this.bans.filter(b => b.id !== banId);
+        this.persist();
+        return ban;
+    }
+    
+    findBan(playerName, ip, now = Date.now()) {
+        return this.bans.find(b => this.isActive(b, now) &&
+            ((b.type === 'player' && b.value === playerName) || (b.type === 'ip' && ip && b.value === ip))) || null;
+    }
+    
+    getActiveBans(now = Date.now()) {
+        return this.bans.filter(b => this.isActive(b, now));
+    }
+    
+    mute(playerName, options, now = Date.now()) {
+        this.mutes[playerName] = {
+            reason: options.reason || null,
+            expiresAt: this.expiry(options.durationMinutes, now),
+            createdBy: options.createdBy,
+            createdAt: now
+        };
+        this.persist();
+        return this.mutes[playerName];
+    }
+    
+    unmute(playerName) {
+        if (!this.mutes[playerName]) return false;
+        delete this.mutes[playerName];
+        this.persist();
+        return true;
+    }
+    
+    getMute(playerName, now = Date.now()) {
+        const mute = this.mutes[playerName];
+        return mute && this.isActive(mute, now) ? mute : null;
+    }
+    
+    // Süresi dolmuş ban/mute kayıtları temizlenir, audit kaydı tutulur
+    prune(now = Date.now()) {
+        const before = this.bans.length + Object.keys(this.mutes).length;
+        this.bans = this.bans.filter(b => this.isActive(b, now));
+        Object.keys(this.mutes).forEach(name => {
+            if (!this.isActive(this.mutes[name], now)) delete this.mutes[name];
+        });
+        if (this.bans.length + Object.keys(this.mutes).length !== before) this.persist();
+    }
+    
+    audit(actor, action, target, details = {}) {
+        const entry = { id: crypto.randomBytes(6).toString('hex'), actor, action, target, details, timestamp: Date.now() };
+        this.auditLog.push(entry);
+        if (this.auditLog.length > AUDIT_LOG_LIMIT) {
+            this.auditLog.splice(0, this.auditLog.length - AUDIT_LOG_LIMIT);
+        }
+        this.persist();
+        console.log(`🛠️ AUDIT ${actor}: ${action} ${target || ''}`);
+        return entry;
+    }
+    
+    getAuditLog(limit = 100) {
+        return this.auditLog.slice(-limit).reverse();
+    }
+}
+
+const moderation = new ModerationManager(storedData.moderation || {});
+
+// 🧾 Maç defteri - resmi sonuç bir kez, sunucunun kendi gol kaydından yazılır
+// Client'ların match_report'u sadece karşılaştırılır; uyuşmazlık dispute kaydına gider
+const MATCH_LEDGER = {
+    REPORT_WINDOW_MS: 2 * 60 * 1000,          // match_report bu süre içinde kabul edilir
+    ABANDONED_AFTER_MS: 6 * 60 * 60 * 1000,   // bitmeden kapanan maçların canlı kaydı bu süre sonra silinir
+    MAX_MATCHES: 2000,
+    MAX_DISPUTES: 500
+};
+
+class MatchLedger {
+    constructor(data) {
+        this.matches = data.matches || {}; // { matchId: { id, roomId, gameMode, status, startedAt, endedAt, score, goals, players, reports } }
+        this.disputes = data.disputes || []; // [{ id, matchId, official, reports, status, createdAt, resolution }]
+    }
+    
+    persist() {
+        storage.save('matchLedger', { matches: this.matches, disputes: this.disputes });
+    }
+    
+    get(matchId) {
+        return Object.hasOwn(this.matches, matchId) ? this.matches[matchId] : null;
+    }
+    
+    open(room, now = Date.now()) {
+        const match = {
+            id: `match_${now}_${crypto.randomBytes(4).toString('hex')}`,
+            roomId: room.id,
+            gameMode: room.gameMode,
+            stadium: room.stadium,
+            weather: room.weather,
+            status: 'live', // live, official, disputed
+            startedAt: now,
+            endedAt: null,
+            players: room.players.map(p => ({ name: p.name, side: p.team })),
+            score: null,
+            penalties: null,
+            goals: [],
+            duration: 0,
+            forfeit: null,
+            reports: {} // { playerName: { home, away, reportedAt } }
+        };
+        this.matches[match.id] = match;
+        this.persist();
+        return match;
+    }
+    
+    // Returns the official record, or null if the match is unknown or already has a result
+    finalize(matchId, result, now = Date.now()) {
+        const match = this.get(matchId);
+        if (!match || match.status !== 'live') return null;
+        
+        Object.assign(match, {
+            status: 'official',
+            endedAt: now,
+            score: { ...result.score },
+            penalties: result.penalties,
+            goals: result.goals,
+            duration: Math.round(result.duration),
+            forfeit: result.forfeit || null,
+            players: result.players.map(p => ({ ...p }))
+        });
+        this.persist();
+        return match;
+    }
+    
+    // İnceleme için replay bağlantısı
+    attachReplay(matchId, replayId) {
+        const match = this.get(matchId);
+        if (!match || !replayId) return;
+        match.replayId = replayId;
+        this.persist();
+    }
+    
+    // Returns { match, disputed } or { error }
+    report(matchId, playerName, score, now = Date.now()) {
+        const match = this.get(matchId);
+        if (!match || match.status === 'live') return { error: 'Match not found or not finished yet' };
+        if (!match.players.some(p => p.name === playerName)) return { error: 'You did not play in this match' };
+        if (match.reports[playerName]) return { error: 'Result already reported' };
+        if (now - match.endedAt > MATCH_LEDGER.REPORT_WINDOW_MS) return { error: 'Reporting window has closed' };
+        
+        match.reports[playerName] = { home: score.home, away: score.away, reportedAt: now };
+        
+        // Resmi kayıtla uyuşmayan her rapor (iki client birbiriyle çelişse de) dispute açar
+        const disputed = score.home !== match.score.home || score.away !== match.score.away;
+        let dispute = this.disputes.find(d => d.matchId === match.id);
+        if (disputed && !dispute) {
+            dispute = {
+                id: crypto.randomBytes(6).toString('hex'),
+                matchId: match.id,
+                gameMode: match.gameMode,
+                official: { ...match.score },
+                reports: {},
+                status: 'open', // open, resolved
+                createdAt: now,
+                resolution: null
+            };
+            this.disputes.push(dispute);
+            if (this.disputes.length > MATCH_LEDGER.MAX_DISPUTES) {
+                this.disputes.splice(0, this.disputes.length - MATCH_LEDGER.MAX_DISPUTES);
+            }
+        }
+        if (disputed) match.status = 'disputed';
+        if (dispute) dispute.reports = { ...match.reports };
+        
+        this.persist();
+        return { match, disputed };
+    }
+    
+    getDisputes(status) {
+        return this.disputes.filter(d => !status || d.status === status).slice().reverse();
+    }
+    
+    // Resmi sonuç sunucunundur: çözüm sadece kaydı kapatır, istatistik düzeltmesi admin leaderboard API'si ile yapılır
+    resolve(disputeId, resolvedBy, note, now = Date.now()) {
+        const dispute = this.disputes.find(d => d.id === disputeId);
+        if (!dispute || dispute.status !== 'open') return null;
+        
+        dispute.status = 'resolved';
+        dispute.resolution = { resolvedBy, note: typeof note === 'string' ? note.slice(0, 500) : null, resolvedAt: now };
+        const match = this.get(dispute.matchId);
+        if (match) match.status = 'official';
+        this.persist();
+        return dispute;
+    }
+    
+    // Yarım kalan canlı kayıtlar ve en eski sonuçlar düşer, açık dispute'u olan maç tutulur
+    prune(now = Date.now()) {
+        const openDisputes = new Set(this.disputes.filter(d => d.status === 'open').map(d => d.matchId));
+        const matches = Object.values(this.matches);
+        const before = matches.length;
+        
+        matches.forEach(match => {
+            if (match.status === 'live' && now - match.startedAt > MATCH_LEDGER.ABANDONED_AFTER_MS) delete this.matches[match.id];
+        });
+        const finished = Object.values(this.matches)
+            .filter(m => m.status !== 'live' && !openDisputes.has(m.id))
+            .sort((a, b) => a.endedAt - b.endedAt);
+        finished.slice(0, Math.max(0, finished.length - MATCH_LEDGER.MAX_MATCHES)).forEach(match => delete this.matches[match.id]);
+        
+        if (Object.keys(this.matches).length !== before) this.persist();
+    }
+}
+
+const matchLedger = new MatchLedger(storedData.matchLedger || {});
+
+// 🔍 İnceleme kuyruğu - dedektörlerin işaretlediği maçlar, admin replay ile karar verir
+class ReviewQueue {
+    constructor(reviews) {
+        this.reviews = reviews; // [{ id, matchId, roomId, gameMode, players, status, flags, createdAt, updatedAt, resolution }]
+    }
+    
+    persist() {
+        storage.save('reviewQueue', this.reviews);
+    }
+    
+    get(reviewId) {
+        return this.reviews.find(r => r.id === reviewId) || null;
+    }
+    
+    // Maç başına tek açık kayıt; yeni işaretler ona eklenir
+    flag(match, flag, now = Date.now()) {
+        let review = this.reviews.find(r => r.matchId === match.id && r.status === 'open');
+        if (!review) {
+            review = {
+                id: crypto.randomBytes(6).toString('hex'),
+                matchId: match.id,
+                roomId: match.roomId,
+                gameMode: match.gameMode,
+                players: match.players.map(p => p.name),
+                status: 'open', // open, cleared, confirmed
+                flags: [],
+                createdAt: now,
+                updatedAt: now,
+                resolution: null
+            };
+            this.reviews.push(review);
+            if (this.reviews.length > ANTI_CHEAT.REVIEW_LIMIT) {
+                this.reviews.splice(0, this.reviews.length - ANTI_CHEAT.REVIEW_LIMIT);
+            }
+        }
+        review.flags.push({ ...flag, timestamp: now });
+        review.flags.splice(0, Math.max(0, review.flags.length - ANTI_CHEAT.REVIEW_FLAG_LIMIT));
+        review.updatedAt = now;
+        this.persist();
+        return review;
+    }
+    
+    list(status) {
+        return this.reviews
+            .filter(r => !status || r.status === status)
+            .map(({ flags, ...review }) => ({ ...review, flagCount: flags.length, detectors: [...new Set(flags.map(f => f.detector))] }))
+            .reverse();
+    }
+    
+    // verdict: cleared (temiz) veya confirmed (hile)
+    resolve(reviewId, verdict, resolvedBy, note, now = Date.now()) {
+        const review = this.get(reviewId);
+        if (!review || review.status !== 'open') return null;
+        
+        review.status = verdict;
+        review.resolution = { resolvedBy, note: typeof note === 'string' ? note.slice(0, 500) : null, resolvedAt: now };
+        review.updatedAt = now;
+        this.persist();
+        return review;
+    }
+}
+
+const reviewQueue = new ReviewQueue(storedData.reviewQueue || []);
+
+// 🔍 Hile dedektörleri: client pozisyon örnekleri, input hızı, gol zamanlaması ve sonuç raporları
+// player_sync / ball_sync sunucudan çıkar; client'ın bildirdiği pozisyon sadece game_update'te gelir
+class CheatDetector {
+    constructor() {
+        this.sockets = new Map(); // socketId -> { samples: RingBuffer, inputs: RingBuffer, desyncStreak, lastFlags }
+        this.kickoffs = new Map(); // roomId -> gameTime of the last kickoff
+    }
+    
+    getState(socketId) {
+        if (!this.sockets.has(socketId)) {
+            this.sockets.set(socketId, {
+                samples: new RingBuffer(ANTI_CHEAT.SAMPLE_BUFFER),
+                inputs: new RingBuffer(ANTI_CHEAT.MAX_INPUTS_PER_SECOND),
+                desyncStreak: 0,
+                lastFlags: {}
+            });
+        }
+        return this.sockets.get(socketId);
+    }
+    
+    // Şüpheyi kimliğe yazar, maç sürüyorsa maçı inceleme kuyruğuna ekler
+    flag(socketId, detector, details, matchId, options = {}) {
+        const now = Date.now();
+        const state = this.getState(socketId);
+        if (options.cooldown && now - (state.lastFlags[detector] || 0) < ANTI_CHEAT.FLAG_COOLDOWN_MS) return;
+        state.lastFlags[detector] = now;
+        
+        securityManager.logSuspiciousActivity(socketId, detector, { matchId, ...details });
+        const match = matchId && matchLedger.get(matchId);
+        if (match) {
+            const identity = securityManager.identities.get(socketId) || {};
+            reviewQueue.flag(match, { detector, playerName: identity.playerName || null, details }, now);
+        }
+    }
+    
+    // game_update örneği: ardışık örnekler arası hız ve sıçrama, sunucu pozisyonundan sapma
+    observeMovement(socket, room, simulation, sample, now = Date.now()) {
+        if (typeof sample.x !== 'number' || typeof sample.y !== 'number') return;
+        const state = this.getState(socket.id);
+        
+        // Gol sonrası ve devre arasında sunucu oyuncuları kickoff'a ışınlar - geçmiş geçersiz
+        if (!simulation.isPlayingPhase() || simulation.state !== 'running') {
+            state.samples.clear();
+            state.desyncStreak = 0;
+            return;
+        }
+        
+        const previous = state.samples.last();
+        state.samples.push({ x: sample.x, y: sample.y, at: now });
+        if (previous) {
+            const jump = Math.hypot(sample.x - previous.x, sample.y - previous.y);
+            if (jump > ANTI_CHEAT.TELEPORT_DISTANCE && now - previous.at < ANTI_CHEAT.TELEPORT_INTERVAL_MS) {
+                this.flag(socket.id, 'TELEPORT', { distance: Math.round(jump), intervalMs: now - previous.at }, room.matchId, { cooldown: true });
+            }
+        }
+        
+        // Hız en az SPEED_WINDOW_MS geride kalan en yeni örneğe göre ölçülür
+        for (let i = state.samples.length - 2; i >= 0; i--) {
+            const base = state.samples.at(i);
+            const elapsed = now - base.at;
+            if (elapsed < ANTI_CHEAT.SPEED_WINDOW_MS) continue;
+            const speed = Math.hypot(sample.x - base.x, sample.y - base.y) / (elapsed / 1000);
+            const maxSpeed = Math.round(simulation.physics.playerSpeed * SIMULATION.TICK_RATE * ANTI_CHEAT.SPEED_TOLERANCE);
+            if (speed > maxSpeed) {
+                this.flag(socket.id, 'SPEED_HACK', { speed: Math.round(speed), maxSpeed }, room.matchId, { cooldown: true });
+            }
+            break;
+        }
+        
+        const entity = simulation.players.get(socket.id);
+        if (!entity) return;
+        const drift = Math.hypot(sample.x - entity.x, sample.y - entity.y);
+        state.desyncStreak = drift > ANTI_CHEAT.DESYNC_DISTANCE ? state.desyncStreak + 1 : 0;
+        if (state.desyncStreak >= ANTI_CHEAT.DESYNC_SAMPLES) {
+            this.flag(socket.id, 'POSITION_DESYNC', { drift: Math.round(drift), samples: state.desyncStreak }, room.matchId, { cooldown: true });
+            state.desyncStreak = 0;
+        }
+    }
+    
+    // Tampon doluysa ve en eski input son bir saniye içindeyse saniyede MAX_INPUTS_PER_SECOND aşıldı
+    observeInput(socket, room, now = Date.now()) {
+        const { inputs } = this.getState(socket.id);
+        inputs.push(now);
+        if (inputs.isFull() && now - inputs.at(0) < 1000) {
+            this.flag(socket.id, 'INPUT_FLOOD', { perSecond: inputs.length }, room.matchId, { cooldown: true });
+        }
+    }
+    
+    observeKickoff(roomId, gameTime) {
+        this.kickoffs.set(roomId, gameTime);
+    }
+    
+    // Kickoff'tan MIN_GOAL_SECONDS geçmeden atılan gol
+    observeGoal(room, simulation, goal) {
+        const elapsed = goal.gameTime - (this.kickoffs.get(room.id) || 0);
+        this.kickoffs.set(room.id, goal.gameTime);
+        if (elapsed >= ANTI_CHEAT.MIN_GOAL_SECONDS || !goal.scorer) return;
+        
+        const scorer = Array.from(simulation.players.values()).find(p => p.name === goal.scorer);
+        if (scorer) {
+            this.flag(scorer.socketId, 'IMPOSSIBLE_GOAL_TIMING', { secondsAfterKickoff: Math.round(elapsed * 100) / 100, gameTime: goal.gameTime }, room.matchId);
+        }
+    }
+    
+    // Resmi kayıtla uyuşmayan match_report - maç bitmiş olsa da incelemeye gider
+    observeResultReport(socket, match, reported) {
+        const otherReports = Object.entries(match.reports)
+            .filter(([name]) => name !== socket.playerName)
+            .map(([name, r]) => ({ playerName: name, home: r.home, away: r.away }));
+        this.flag(socket.id, 'RESULT_MISMATCH', { official: match.score, reported, otherReports }, match.id);
+    }
+    
+    forgetSocket(socketId) {
+        this.sockets.delete(socketId);
+    }
+    
+    forgetRoom(roomId) {
+        this.kickoffs.delete(roomId);
+    }
+}
+
+const cheatDetector = new CheatDetector();
+
+// 📜 Maç geçmişi ve profil - her oyuncu için toplamlar ayrı tutulur, liste MAX_ENTRIES ile sınırlı
+const MATCH_HISTORY = {
+    MAX_ENTRIES: 200,
+    HEAD_TO_HEAD_LIMIT: 10,
+    MAX_PAGE_SIZE: 50
+};
+
+class MatchHistory {
+    constructor(players) {
+        this.players = players; // { playerName: { totals, streaks, stadiums, headToHead, matches: [entry] } }, newest first
+    }
+    
+    persist() {
+        storage.save('matchHistory', this.players);
+    }
+    
+    emptyRecord() {
+        return {
+            totals: { gamesPlayed: 0, wins: 0, losses: 0, draws: 0, goals: 0, goalsAgainst: 0 },
+            streaks: { current: null, currentWin: 0, bestWin: 0 }, // current: { result, count }
+            stadiums: {}, // stadium -> played
+            headToHead: {}, // opponent -> { played, wins, losses, draws }
+            awards: [], // [{ seasonId, seasonName, award, rank }]
+            matches: []
+        };
+    }
+    
+    getRecord(playerName) {
+        if (!Object.hasOwn(this.players, playerName)) {
+            this.players[playerName] = this.emptyRecord();
+        }
+        return this.players[playerName];
+    }
+    
+    // Resmi maç kaydından her oyuncuya kendi bakış açısıyla bir satır yazılır
+    record(match, replayId = null) {
+        match.players.forEach(player => {
+            const outcome = player.won ? 'win' : player.lost ? 'loss' : 'draw';
+            const opponents = match.players.filter(p => p.side !== player.side).map(p => p.name);
+            const record = this.getRecord(player.name);
+            
+            record.matches.unshift({
+                matchId: match.id,
+                timestamp: match.endedAt,
+                gameMode: match.gameMode,
+                stadium: match.stadium,
+                weather: match.weather,
+                duration: match.duration,
+                side: player.side,
+                teammates: match.players.filter(p => p.side === player.side && p.name !== player.name).map(p => p.name),
+                opponents,
+                score: player.score,
+                opponentScore: player.opponentScore,
+                penalties: match.penalties,
+                result: outcome,
+                forfeit: !!match.forfeit,
+                replayId
+            });
+            record.matches.splice(MATCH_HISTORY.MAX_ENTRIES);
+            
+            const { totals, streaks } = record;
+            totals.gamesPlayed++;
+            totals[{ win: 'wins', loss: 'losses', draw: 'draws' }[outcome]]++;
+            totals.goals += player.score;
+            totals.goalsAgainst += player.opponentScore;
+            
+            streaks.current = streaks.current && streaks.current.result === outcome
+                ? { result: outcome, count: streaks.current.count + 1 }
+                : { result: outcome, count: 1 };
+            streaks.currentWin = outcome === 'win' ? streaks.currentWin + 1 : 0;
+            streaks.bestWin = Math.max(streaks.bestWin, streaks.currentWin);
+            
+            if (match.stadium) record.stadiums[match.stadium] = (record.stadiums[match.stadium] || 0) + 1;
+            opponents.forEach(opponent => {
+                const h2h = Object.hasOwn(record.headToHead, opponent)
+                    ? record.headToHead[opponent]
+                    : (record.headToHead[opponent] = { played: 0, wins: 0, losses: 0, draws: 0 });
+                h2h.played++;
+                h2h[{ win: 'wins', loss: 'losses', draw: 'draws' }[outcome]]++;
+            });
+        });
+        this.persist();
+    }
+    
+    addAward(playerName, award) {
+        const record = this.getRecord(playerName);
+        record.awards = [...(record.awards || []), award];
+    }
+    
+    // Pencere içindeki maçlardan tablo satırları - günlük/haftalık sıralama için
+    getWindowStats(since) {
+        return Object.entries(this.players).map(([name, record]) => {
+            const stats = { name, wins: 0, losses: 0, draws: 0, goals: 0, goalsAgainst: 0, gamesPlayed: 0 };
+            record.matches.filter(m => m.timestamp >= since).forEach(m => {
+                stats.gamesPlayed++;
+                stats[{ win: 'wins', loss: 'losses', draw: 'draws' }[m.result]]++;
+                stats.goals += m.score;
+                stats.goalsAgainst += m.opponentScore;
+            });
+            return stats;
+        }).filter(stats => stats.gamesPlayed > 0);
+    }
+    
+    getAllTimeStats() {
+        return Object.entries(this.players).map(([name, record]) => ({ name, ...record.totals }));
+    }
+    
+    // options: { page, pageSize, opponent } - opponent verilirse sadece o rakiple kafa kafaya kayıt döner
+    getProfile(playerName, options = {}) {
+        const record = Object.hasOwn(this.players, playerName) ? this.players[playerName] : this.emptyRecord();
+        const page = Math.max(1, parseInt(options.page, 10) || 1);
+        const pageSize = Math.min(MATCH_HISTORY.MAX_PAGE_SIZE, Math.max(1, parseInt(options.pageSize, 10) || 20));
+        const favourite = Object.entries(record.stadiums).sort((a, b) => b[1] - a[1])[0];
+        const headToHead = Object.entries(record.headToHead)
+            .filter(([opponent]) => !options.opponent || opponent === options.opponent)
+            .map(([opponent, h2h]) => ({ opponent, ...h2h }))
+            .sort((a, b) => b.played - a.played)
+            .slice(0, MATCH_HISTORY.HEAD_TO_HEAD_LIMIT);
+        
+        return {
+            playerName,
+            totals: { ...record.totals },
+            streaks: { ...record.streaks },
+            favouriteStadium: favourite ? { stadium: favourite[0], played: favourite[1] } : null,
+            headToHead,
+            awards: record.awards || [],
+            history: {
+                page,
+                pageSize,
+                total: record.matches.length,
+                totalPages: Math.max(1, Math.ceil(record.matches.length / pageSize)),
+                matches: record.matches.slice((page - 1) * pageSize, page * pageSize)
+            }
+        };
+    }
+}
+
+const matchHistory = new MatchHistory(storedData.matchHistory || {});
+
+// 🗓️ Sezonlar - aktif sezonun canlı tablosu onlineLeaderboard (soft reset tohumu dahil); bitince seasonStats arşivlenir ve tablolar sıfırlanır
+const SEASON = {
+    RESET_MODES: ['hard', 'soft'],   // hard: tablo silinir, soft: sayaçlar SOFT_RESET_FACTOR ile küçülür
+    SOFT_RESET_FACTOR: 0.5,
+    ARCHIVE_SIZE: 100,
+    MIN_GAMES_FOR_AWARD: 5,
+    AWARDS: ['champion', 'runner_up', 'third_place'], // ilk üç; ilk 10 'top_10', kalanlar 'participant'
+    TICK_MS: 60 * 1000
+};
+
+class SeasonManager {
+    constructor(seasons) {
+        this.seasons = seasons; // [{ id, name, startsAt, endsAt, resetMode, status, standings, createdBy, createdAt }]
+    }
+    
+    persist() {
+        storage.save('seasons', this.seasons);
+    }
+    
+    get(seasonId) {
+        return this.seasons.find(s => s.id === seasonId) || null;
+    }
+    
+    getActive() {
+        return this.seasons.find(s => s.status === 'active') || null;
+    }
+    
+    list() {
+        return this.seasons
+            .slice()
+            .sort((a, b) => b.startsAt - a.startsAt)
+            .map(({ standings, ...season }) => ({ ...season, archivedPlayers: standings ? standings.length : 0 }));
+    }
+    
+    // Returns { season } or { error } - sezonlar çakışamaz
+    create(options, createdBy, now = Date.now()) {
+        const name = typeof options.name === 'string' ? options.name.trim().slice(0, 50) : '';
+        const startsAt = new Date(options.startsAt).getTime();
+        const endsAt = new Date(options.endsAt).getTime();
+        const resetMode = options.resetMode || 'soft';
+        if (!name) return { error: 'Season name is required' };
+        if (!Number.isFinite(startsAt) || !Number.isFinite(endsAt) || endsAt <= startsAt) {
+            return { error: 'startsAt and endsAt must be valid dates with endsAt after startsAt' };
+        }
+        if (endsAt <= now) return { error: 'Season must end in the future' };
+        if (!SEASON.RESET_MODES.includes(resetMode)) return { error: `resetMode must be one of ${SEASON.RESET_MODES.join(', ')}` };
+        
+        const overlaps = this.seasons.some(s => s.status !== 'archived' && startsAt < s.endsAt && s.startsAt < endsAt);
+        if (overlaps) return { error: 'Season overlaps an existing season' };
+        
+        const season = {
+            id: `season_${now}_${crypto.randomBytes(4).toString('hex')}`,
+            name,
+            startsAt,
+            endsAt,
+            resetMode,
+            status: 'scheduled', // scheduled, active, archived
+            standings: null,
+            createdBy,
+            createdAt: now
+        };
+        this.seasons.push(season);
+        this.persist();
+        return { season };
+    }
+    
+    // Sadece başlamamış sezon silinebilir
+    cancel(seasonId) {
+        const season = this.get(seasonId);
+        if (!season || season.status !== 'scheduled') return null;
+        this.seasons = this.seasons.filter(s => s.id !== seasonId);
+        this.persist();
+        return season;
+    }
+    
+    // Returns { starting: [season], ending: [season] }
+    due(now = Date.now()) {
+        return {
+            ending: this.seasons.filter(s => s.status === 'active' && s.endsAt <= now),
+            starting: this.seasons.filter(s => s.status === 'scheduled' && s.startsAt <= now && s.endsAt > now)
+        };
+    }
+    
+    activate(season) {
+        season.status = 'active';
+        this.persist();
+    }
+    
+    archive(season, standings, now = Date.now()) {
+        season.status = 'archived';
+        season.standings = standings;
+        season.archivedAt = now;
+        this.persist();
+    }
+}
+
+const seasonManager = new SeasonManager(storedData.seasons || []);
+
+// Express app oluştur
+const app = express();
+
+// 🛡️ Apply security middleware (if available)
+if (helmet) {
+    app.use(helmet({
+        contentSecurityPolicy: {
+            directives: {
+                defaultSrc: ["'self'"],
+                scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.socket.io"],
+                styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+                fontSrc: ["'self'", "https://fonts.gstatic.com"],
+                imgSrc: ["'self'", "data:", "https:"],
+                connectSrc: ["'self'", "ws:", "wss:"]
+            }
+        }
+    }));
+}
+
+// 📊 Health ve metrics rate limiter'dan önce - probe ve scrape'ler limite takılmaz
+let serverListening = false;
+const EVENT_LOOP_RESOLUTION_MS = 10;
+const eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+eventLoopDelay.enable();
+
+metrics.register('connected_sockets', 'gauge', 'Connected sockets', emit => emit({}, io.engine.clientsCount));
+metrics.register('rooms', 'gauge', 'Rooms by status', emit => {
+    const counts = { waiting: 0, playing: 0 };
+    Object.values(rooms).forEach(room => counts[room.status] = (counts[room.status] || 0) + 1);
+    Object.entries(counts).forEach(([status, count]) => emit({ status }, count));
+});
+metrics.register('running_simulations', 'gauge', 'Server-side match simulations', emit => emit({}, matchSimulations.size));
+// Scrape aralığındaki event loop gecikmesi, her scrape'te sıfırlanır (ölçüm aralığı düşülür)
+metrics.register('event_loop_lag_seconds', 'gauge', 'Event loop delay since the last scrape', emit => {
+    const lag = nanos => Math.max(0, nanos / 1e6 - EVENT_LOOP_RESOLUTION_MS) / 1000;
+    emit({ quantile: '0.5' }, lag(eventLoopDelay.percentile(50)));
+    emit({ quantile: '0.99' }, lag(eventLoopDelay.percentile(99)));
+    emit({ quantile: '1' }, lag(eventLoopDelay.max));
+    eventLoopDelay.reset();
+});
+metrics.register('process_resident_memory_bytes', 'gauge', 'Resident memory size', emit => emit({}, process.memoryUsage().rss));
+
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', instanceId: CLUSTER.INSTANCE_ID, uptime: process.uptime() });
+});
+
+app.get('/readyz', (req, res) => {
+    const reasons = [];
+    if (!serverListening) reasons.push('server is not listening');
+    if (storage.lastError) reasons.push(`storage: ${storage.lastError}`);
+    
+    res.status(reasons.length ? 503 : 200).json({ status: reasons.length ? 'unavailable' : 'ready', reasons });
+});
+
+// METRICS_TOKEN verilirse scrape Bearer token ister
+app.get('/metrics', (req, res) => {
+    if (process.env.METRICS_TOKEN && req.get('authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+        return res.status(401).end();
+    }
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+if (limiter) {
+    app.use(limiter);
+}
+
+// Add security headers
+app.use((req, res, next) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('X-XSS-Protection', '1; mode=block');
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    next();
+});
+
+const server = http.createServer(app);
+const io = socketIO(server, {
+    cors: {
+        origin: "*",
+        methods: ["GET", "POST"],
+        credentials: false
+    },
+    // 🛡️ Socket.IO security options
+    allowEIO3: false,
+    transports: ['websocket', 'polling'],
+    pingTimeout: 60000,
+    pingInterval: 25000
+});
+
+// 🔐 Auth endpoints
+const authLimiter = rateLimit ? rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: {
+        error: 'Too many login attempts, please try again later.',
+        code: 'RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+}) : null;
+
+const authRouter = express.Router();
+authRouter.use(express.json({ limit: '10kb' }));
+if (authLimiter) {
+    authRouter.use(authLimiter);
+}
+
+authRouter.post('/register', async (req, res) => {
+    try {
+        const { playerName, password } = req.body || {};
+        const result = await accountManager.register(playerName, password);
+        if (result.error) {
+            return res.status(result.code === 'NAME_TAKEN' ? 409 : 400).json(result);
+        }
+        
+        registerPlayer(playerName);
+        cluster.publish('account', accountManager.publicRecord(playerName));
+        console.log(`🔐 Account registered: ${playerName}`);
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('Error in register:', error);
+        res.status(500).json({ error: 'Registration failed', code: 'INTERNAL_ERROR' });
+    }
+});
+
+authRouter.post('/login', async (req, res) => {
+    try {
+        const { playerName, password } = req.body || {};
+        const result = await accountManager.login(playerName, password);
+        if (result.error) {
+            return res.status(result.code === 'WRONG_INSTANCE' ? 421 : 401).json(result);
+        }
+        
+        const ban = moderation.findBan(playerName, req.ip);
+        if (ban) {
+            return res.status(403).json({ error: 'You are banned', code: 'BANNED', expiresAt: ban.expiresAt });
+        }
+        
+        res.json(result);
+    } catch (error) {
+        console.error('Error in login:', error);
+        res.status(500).json({ error: 'Login failed', code: 'INTERNAL_ERROR' });
+    }
+});
+
+app.use('/api/auth', authRouter);
+
+// 🎬 Replay endpoints
+app.get('/api/replays', (req, res) => {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    res.json(replayStore.list({ playerName: req.query.player, limit }));
+});
+
+app.get('/api/replays/:replayId', async (req, res) => {
+    try {
+        const buffer = await replayStore.readCompressed(req.params.replayId);
+        if (!buffer) {
+            return res.status(404).json({ error: 'Replay not found', code: 'NOT_FOUND' });
+        }
+        
+        res.set({
+            'Content-Type': 'application/json',
+            'Content-Encoding': 'gzip',
+            'Content-Disposition': `attachment; filename="${req.params.replayId}.json"`
+        });
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error in replay download:', error);
+        res.status(500).json({ error: 'Could not read replay', code: 'INTERNAL_ERROR' });
+    }
+});
+
+// 🗓️ Season endpoints
+app.get('/api/seasons', (req, res) => {
+    res.json(seasonManager.list());
+});
+
+app.get('/api/seasons/:seasonId', (req, res) => {
+    const season = seasonManager.get(req.params.seasonId);
+    if (!season) {
+        return res.status(404).json({ error: 'Season not found', code: 'NOT_FOUND' });
+    }
+    res.json(season);
+});
+
+// ⚙️ Rules catalogue
+app.get('/api/rules', (req, res) => {
+    res.json(rulesCatalogue.describe());
+});
+
+// 📜 Player profile endpoint
+app.get('/api/players/:playerName/profile', (req, res) => {
+    const profile = getPlayerProfile(req.params.playerName, req.query);
+    if (!profile) {
+        return res.status(404).json({ error: 'Player not found', code: 'NOT_FOUND' });
+    }
+    res.json(profile);
+});
+
+// 🔐 REST kimliği: Authorization: Bearer <token>
+function requireAuth(req, res, next) {
+    const header = req.get('authorization') || '';
+    const playerName = accountManager.verifyToken(header.startsWith('Bearer ') ? header.slice(7) : null);
+    if (!playerName) {
+        return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+    }
+    // Token ban'dan önce alınmış olabilir - her istekte kontrol edilir
+    const ban = moderation.findBan(playerName, req.ip);
+    if (ban) {
+        return res.status(403).json({ error: 'You are banned', code: 'BANNED', expiresAt: ban.expiresAt });
+    }
+    req.playerName = playerName;
+    next();
+}
+
+// 🏆 Tournament endpoints
+app.get('/api/tournaments', (req, res) => {
+    res.json(tournamentManager.list());
+});
+
+app.get('/api/tournaments/:tournamentId', (req, res) => {
+    const state = tournamentManager.getState(req.params.tournamentId);
+    if (!state) {
+        return res.status(404).json({ error: 'Tournament not found', code: 'NOT_FOUND' });
+    }
+    res.json(state);
+});
+
+app.post('/api/tournaments', express.json({ limit: '10kb' }), requireAuth, (req, res) => {
+    const { tournament, error } = tournamentManager.create(req.playerName, req.body || {});
+    if (error) {
+        return res.status(400).json({ error, code: 'INVALID_TOURNAMENT' });
+    }
+    broadcastTournamentList();
+    res.status(201).json(tournamentManager.getState(tournament.id));
+});
+
+app.post('/api/tournaments/:tournamentId/signup', requireAuth, (req, res) => {
+    const { tournament, error } = tournamentManager.signUp(req.params.tournamentId, req.playerName);
+    if (error) {
+        return res.status(400).json({ error, code: 'SIGNUP_FAILED' });
+    }
+    broadcastTournament(tournament);
+    res.json(tournamentManager.getState(tournament.id));
+});
+
+// 🌐 Cluster instance'ları - client'lar yönlendirme için kullanır
+app.get('/api/cluster', (req, res) => {
+    res.json(cluster.getInstances());
+});
+
+// 🤝 Club endpoints
+app.get('/api/clubs/leaderboard', (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+    res.json(clubManager.getLeaderboard(page, pageSize));
+});
+
+app.get('/api/clubs/:clubId', (req, res) => {
+    const club = clubManager.get(req.params.clubId);
+    if (!club) {
+        return res.status(404).json({ error: 'Club not found', code: 'NOT_FOUND' });
+    }
+    res.json(clubManager.getView(club, null));
+});
+
+// 🛠️ Admin API - her işlem audit kaydına yazılır
+function requireAdmin(req, res, next) {
+    if (!ADMIN_PLAYERS.has(req.playerName)) {
+        return res.status(403).json({ error: 'Admin access required', code: 'FORBIDDEN' });
+    }
+    next();
+}
+
+// Login limiter'ından ayrı - panel kullanan admin giriş denemesi kotasını tüketmez
+const adminLimiter = rateLimit ? rateLimit({
+    windowMs: 60 * 1000,
+    max: 120,
+    message: {
+        error: 'Too many admin requests, please slow down.',
+        code: 'RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+}) : null;
+
+const adminRouter = express.Router();
+adminRouter.use(express.json({ limit: '10kb' }));
+if (adminLimiter) {
+    adminRouter.use(adminLimiter);
+}
+adminRouter.use(requireAuth, requireAdmin);
+
+adminRouter.get('/rooms', (req, res) => {
+    res.json(Object.values(rooms).map(room => ({
+        id: room.id,
+        name: room.name,
+        status: room.status,
+        gameMode: room.gameMode,
+        host: room.host.name,
+        players: room.players.map(p => ({ name: p.name, team: p.team, disconnected: !!p.disconnected })),
+        spectatorCount: room.spectatorCount,
+        isPrivate: room.isPrivate,
+        tournament: room.tournament || null,
+        createdAt: room.createdAt
+    })));
+});
+
+adminRouter.get('/players', (req, res) => {
+    res.json(Array.from(io.sockets.sockets.values()).map(socket => ({
+        socketId: socket.id,
+        playerName: socket.playerName,
+        ip: socket.handshake.address,
+        room: socket.currentRoom || null,
+        spectating: socket.spectatingRoom || null,
+        muted: !!moderation.getMute(socket.playerName),
+        connectedAt: socket.handshake.issued
+    })));
+});
+
+adminRouter.delete('/rooms/:roomId', (req, res) => {
+    const room = rooms[req.params.roomId];
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found', code: 'NOT_FOUND' });
+    }
+    
+    forceCloseRoom(room, req.body && req.body.reason ? `Closed by admin: ${req.body.reason}` : 'Closed by admin');
+    moderation.audit(req.playerName, 'close_room', room.id, { name: room.name, reason: req.body && req.body.reason });
+    res.json({ closed: room.id });
+});
+
+// Hedef: { playerName } veya { ip }
+function adminTarget(req, res) {
+    const { playerName, ip } = req.body || {};
+    if (typeof playerName === 'string' && playerName) return { type: 'player', value: playerName };
+    if (typeof ip === 'string' && ip) return { type: 'ip', value: ip };
+    res.status(400).json({ error: 'playerName or ip is required', code: 'INVALID_TARGET' });
+    return null;
+}
+
+adminRouter.post('/kick', (req, res) => {
+    const target = adminTarget(req, res);
+    if (!target) return;
+    
+    const kicked = disconnectMatching(target, 'kicked', { reason: req.body.reason || null });
+    moderation.audit(req.playerName, 'kick', target.value, { type: target.type, reason: req.body.reason, sockets: kicked });
+    res.json({ kicked });
+});
+
+adminRouter.get('/bans', (req, res) => {
+    res.json(moderation.getActiveBans());
+});
+
+adminRouter.post('/bans', (req, res) => {
+    const target = adminTarget(req, res);
+    if (!target) return;
+    
+    const ban = moderation.ban(target.type, target.value, {
+        reason: req.body.reason,
+        durationMinutes: req.body.durationMinutes,
+        createdBy: req.playerName
+    });
+    const kicked = disconnectMatching(target, 'banned', { reason: ban.reason, expiresAt: ban.expiresAt });
+    moderation.audit(req.playerName, 'ban', target.value, { type: target.type, banId: ban.id, reason: ban.reason, expiresAt: ban.expiresAt, sockets: kicked });
+    res.status(201).json(ban);
+});
+
+adminRouter.delete('/bans/:banId', (req, res) => {
+    const ban = moderation.unban(req.params.banId);
+    if (!ban) {
+        return res.status(404).json({ error: 'Ban not found', code: 'NOT_FOUND' });
+    }
+    moderation.audit(req.playerName, 'unban', ban.value, { type: ban.type, banId: ban.id });
+    res.json(ban);
+});
+
+adminRouter.post('/mutes', (req, res) => {
+    const { playerName, reason, durationMinutes } = req.body || {};
+    if (typeof playerName !== 'string' || !playerName) {
+        return res.status(400).json({ error: 'playerName is required', code: 'INVALID_TARGET' });
+    }
+    
+    const mute = moderation.mute(playerName, { reason, durationMinutes, createdBy: req.playerName });
+    emitToPlayer(playerName, 'chat_muted', { reason: mute.reason, expiresAt: mute.expiresAt });
+    moderation.audit(req.playerName, 'mute', playerName, { reason: mute.reason, expiresAt: mute.expiresAt });
+    res.status(201).json({ playerName, ...mute });
+});
+
+adminRouter.delete('/mutes/:playerName', (req, res) => {
+    if (!moderation.unmute(req.params.playerName)) {
+        return res.status(404).json({ error: 'Mute not found', code: 'NOT_FOUND' });
+    }
+    moderation.audit(req.playerName, 'unmute', req.params.playerName);
+    res.json({ playerName: req.params.playerName });
+});
+
+adminRouter.get('/security/alerts', (req, res) => {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const alerts = securityManager.alertHistory
+        .filter(alert => !req.query.player || alert.playerName === req.query.player)
+        .slice(-limit)
+        .reverse();
+    res.json(alerts);
+});
+
+adminRouter.get('/security/suspects', (req, res) => {
+    res.json(securityManager.getSuspects());
+});
+
+adminRouter.get('/reviews', (req, res) => {
+    res.json(reviewQueue.list(req.query.status));
+});
+
+// İnceleme kaydı, resmi maç kaydı ve replay id'si birlikte döner
+adminRouter.get('/reviews/:reviewId', (req, res) => {
+    const review = reviewQueue.get(req.params.reviewId);
+    if (!review) {
+        return res.status(404).json({ error: 'Review not found', code: 'NOT_FOUND' });
+    }
+    res.json({ ...review, match: matchLedger.get(review.matchId) });
+});
+
+adminRouter.post('/reviews/:reviewId/resolve', (req, res) => {
+    const { verdict, note } = req.body || {};
+    if (!['cleared', 'confirmed'].includes(verdict)) {
+        return res.status(400).json({ error: 'verdict must be cleared or confirmed', code: 'INVALID_VERDICT' });
+    }
+    
+    const review = reviewQueue.resolve(req.params.reviewId, verdict, req.playerName, note);
+    if (!review) {
+        return res.status(404).json({ error: 'Open review not found', code: 'NOT_FOUND' });
+    }
+    moderation.audit(req.playerName, 'resolve_review', review.matchId, { reviewId: review.id, verdict, note: review.resolution.note });
+    res.json(review);
+});
+
+adminRouter.get('/audit', (req, res) => {
+    const limit = Math.min(AUDIT_LOG_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    res.json(moderation.getAuditLog(limit));
+});
+
+adminRouter.get('/matches/:matchId', (req, res) => {
+    const match = matchLedger.get(req.params.matchId);
+    if (!match) {
+        return res.status(404).json({ error: 'Match not found', code: 'NOT_FOUND' });
+    }
+    res.json(match);
+});
+
+adminRouter.get('/disputes', (req, res) => {
+    res.json(matchLedger.getDisputes(req.query.status));
+});
+
+adminRouter.post('/disputes/:disputeId/resolve', (req, res) => {
+    const dispute = matchLedger.resolve(req.params.disputeId, req.playerName, req.body && req.body.note);
+    if (!dispute) {
+        return res.status(404).json({ error: 'Open dispute not found', code: 'NOT_FOUND' });
+    }
+    moderation.audit(req.playerName, 'resolve_dispute', dispute.matchId, { disputeId: dispute.id, note: dispute.resolution.note });
+    res.json(dispute);
+});
+
+adminRouter.post('/seasons', (req, res) => {
+    const { season, error } = seasonManager.create(req.body || {}, req.playerName);
+    if (error) {
+        return res.status(400).json({ error, code: 'INVALID_SEASON' });
+    }
+    moderation.audit(req.playerName, 'create_season', season.id, { name: season.name, startsAt: season.startsAt, endsAt: season.endsAt, resetMode: season.resetMode });
+    res.status(201).json(season);
+});
+
+adminRouter.delete('/seasons/:seasonId', (req, res) => {
+    const season = seasonManager.cancel(req.params.seasonId);
+    if (!season) {
+        return res.status(404).json({ error: 'Scheduled season not found', code: 'NOT_FOUND' });
+    }
+    moderation.audit(req.playerName, 'cancel_season', season.id, { name: season.name });
+    res.json(season);
+});
+
+const LEADERBOARD_FIELDS = ['wins', 'losses', 'goals', 'goalsAgainst', 'gamesPlayed'];
+
+adminRouter.patch('/leaderboard/:playerName', (req, res) => {
+    const entry = Object.hasOwn(onlineLeaderboard, req.params.playerName) ? onlineLeaderboard[req.params.playerName] : null;
+    if (!entry) {
+        return res.status(404).json({ error: 'Leaderboard entry not found', code: 'NOT_FOUND' });
+    }
+    
+    const changes = {};
+    for (const field of LEADERBOARD_FIELDS) {
+        if (req.body[field] === undefined) continue;
+        const value = Number(req.body[field]);
+        if (!Number.isInteger(value) || value < 0) {
+            return res.status(400).json({ error: `${field} must be a non-negative integer`, code: 'INVALID_VALUE' });
+        }
+        changes[field] = { from: entry[field], to: value };
+    }
+    Object.keys(changes).forEach(field => entry[field] = changes[field].to);
+    persistLeaderboard();
+    
+    moderation.audit(req.playerName, 'edit_leaderboard', req.params.playerName, changes);
+    res.json(entry);
+});
+
+adminRouter.delete('/leaderboard/:playerName', (req, res) => {
+    const entry = Object.hasOwn(onlineLeaderboard, req.params.playerName) ? onlineLeaderboard[req.params.playerName] : null;
+    if (!entry) {
+        return res.status(404).json({ error: 'Leaderboard entry not found', code: 'NOT_FOUND' });
+    }
+    
+    delete onlineLeaderboard[req.params.playerName];
+    delete seasonStats[req.params.playerName];
+    persistLeaderboard();
+    moderation.audit(req.playerName, 'reset_leaderboard_entry', req.params.playerName, { previous: entry });
+    res.json({ reset: req.params.playerName });
+});
+
+app.use('/api/admin', adminRouter);
+
+// 🔐 Socket handshake - kimlik token'dan gelir, payload'daki isimlere güvenilmez
+io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    const playerName = accountManager.verifyToken(token);
+    
+    if (!playerName) {
+        const error = new Error('Authentication required');
+        error.data = { code: 'AUTH_REQUIRED' };
+        return next(error);
+    }
+    
+    const ban = moderation.findBan(playerName, socket.handshake.address);
+    if (ban) {
+        const error = new Error('You are banned');
+        error.data = { code: 'BANNED', reason: ban.reason, expiresAt: ban.expiresAt };
+        return next(error);
+    }
+    
+    // Şüphe bloğu oyuncu adı ve IP'ye bağlı - yeni bağlantı bloğu aşamaz
+    if (securityManager.isIdentityBlocked(playerName, socket.handshake.address)) {
+        const error = new Error('Access denied');
+        error.data = { code: 'BLOCKED' };
+        return next(error);
+    }
+    
+    socket.playerName = playerName;
+    next();
+});
+
+// Static dosyaları servis et (mevcut klasörden) - sunucu kodu, config ve proje dosyaları dışarı verilmez
+// Kontrol decode edilmiş yol üzerinde yapılır, /%64ata/ gibi kodlanmış yollar da yakalanır
+const STATIC_BLOCKED = ['data', 'config', 'bench', 'node_modules', 'server.js', 'package.json', 'package-lock.json'];
+
+app.use((req, res, next) => {
+    let segments;
+    try {
+        segments = decodeURIComponent(req.path).split(/[\\/]+/).filter(Boolean);
+    } catch (error) {
+        return res.status(400).end();
+    }
+    const first = (segments[0] || '').toLowerCase();
+    if (STATIC_BLOCKED.includes(first) || segments.some(segment => segment.startsWith('.'))) {
+        return res.status(404).end();
+    }
+    next();
+});
+app.use(express.static(STATIC_ROOT));
+
+// Oyuncu odaları için veri yapısı
+let rooms = {};
+let playerCount = 0;
+
+// Aktif maç simülasyonları - roomId -> MatchSimulation (room objesi client'a gönderildiği için ayrı tutulur)
+const matchSimulations = new Map();
+let simulationLoop = null;
+let lastSimulationTime = 0;
+
+// 📦 binary-v1 client'ların socket.io grubu - JSON yayınları bu grubu atlar
+const BINARY_PROTOCOL_GROUP = `protocol:${PROTOCOL.NAME}`;
+// Eski game_update relay'inde aktarılan alanlar
+const GAME_UPDATE_FIELDS = ['x', 'y', 'vx', 'vy', 'angle', 'timestamp'];
+
+// 🔌 Reconnection - kopan oyuncunun koltuğu grace süresi boyunca tutulur
+const RECONNECT_GRACE_MS = (Number(process.env.RECONNECT_GRACE_SECONDS) || 30) * 1000;
+const resumeTokens = new Map(); // resumeToken -> { roomId, playerName }
+const heldSeats = new Map(); // `${roomId}:${playerName}` -> grace timeout
+
+// 👀 İzleyiciler - odanın oyuncularından ayrı bir socket.io grubunda tutulur
+const roomSpectators = new Map(); // roomId -> Set<socket>
+
+// Online leaderboard - oyuncu istatistikleri
+let onlineLeaderboard = storedData.onlineLeaderboard || {}; // { playerName: { wins: 0, losses: 0, goals: 0, goalsAgainst: 0 } }
+
+// Aktif sezonda oynanan maçların sayaçları - soft reset tohumu içermez, arşiv ve ödüller bundan sıralanır
+// Eski kayıtlarda yoksa canlı tablodan başlar
+let seasonStats = storedData.seasonStats || JSON.parse(JSON.stringify(onlineLeaderboard));
+
+// Offline (AI'ya karşı) maç istatistikleri - online leaderboard'u etkilemez
+let offlineStats = storedData.offlineStats || {}; // { playerName: { wins, losses, draws, goals, goalsAgainst, gamesPlayed } }
+
+// Registered players
+let registeredPlayers = new Set(storedData.registeredPlayers || []); // Players who have played at least once
+
+// 💾 Değişiklikleri store'a yaz
+function persistLeaderboard() {
+    storage.save('onlineLeaderboard', onlineLeaderboard);
+    storage.save('seasonStats', seasonStats);
+}
+
+function persistOfflineStats() {
+    storage.save('offlineStats', offlineStats);
+}
+
+function persistRegisteredPlayers() {
+    storage.save('registeredPlayers', Array.from(registeredPlayers));
+}
+
+// 🗓️ Sıralama: galibiyet, sonra gol farkı, sonra atılan gol
+const LEADERBOARD_WINDOWS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+
+function rankLeaderboard(entries) {
+    return entries
+        .slice()
+        .sort((a, b) => {
+            if (b.wins !== a.wins) return b.wins - a.wins;
+            const aGoalDiff = a.goals - a.goalsAgainst;
+            const bGoalDiff = b.goals - b.goalsAgainst;
+            if (bGoalDiff !== aGoalDiff) return bGoalDiff - aGoalDiff;
+            return b.goals - a.goals;
+        })
+        .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+// options: { season, window } - season verilirse window yok sayılır; bilinmeyen sezon için null
+function getLeaderboard(options = {}, limit = 10) {
+    if (options.season) {
+        const season = seasonManager.get(options.season);
+        if (!season) return null;
+        if (season.status === 'archived') return season.standings.slice(0, limit);
+        if (season.status === 'scheduled') return [];
+    }
+    
+    let entries = Object.values(onlineLeaderboard);
+    if (!options.season && options.window === 'all') {
+        entries = matchHistory.getAllTimeStats();
+    } else if (!options.season && LEADERBOARD_WINDOWS[options.window]) {
+        entries = matchHistory.getWindowStats(Date.now() - LEADERBOARD_WINDOWS[options.window]);
+    }
+    return rankLeaderboard(entries).slice(0, limit);
+}
+
+// Soft reset sayaçları küçültür, böylece önceki sezonun iyileri biraz önde başlar
+// Sezon sayaçları her iki modda da sıfırdan başlar
+function resetLeaderboard(mode) {
+    seasonStats = {};
+    if (mode === 'hard') {
+        onlineLeaderboard = {};
+    } else {
+        Object.keys(onlineLeaderboard).forEach(name => {
+            const entry = onlineLeaderboard[name];
+            LEADERBOARD_FIELDS.forEach(field => entry[field] = Math.floor((entry[field] || 0) * SEASON.SOFT_RESET_FACTOR));
+            if (entry.gamesPlayed === 0) delete onlineLeaderboard[name];
+        });
+    }
+    persistLeaderboard();
+}
+
+function endSeason(season, now) {
+    const standings = rankLeaderboard(Object.values(seasonStats).filter(entry => entry.gamesPlayed > 0))
+        .slice(0, SEASON.ARCHIVE_SIZE);
+    
+    standings.forEach(entry => {
+        if (entry.gamesPlayed < SEASON.MIN_GAMES_FOR_AWARD) return;
+        const award = {
+            seasonId: season.id,
+            seasonName: season.name,
+            award: SEASON.AWARDS[entry.rank - 1] || (entry.rank <= 10 ? 'top_10' : 'participant'),
+            rank: entry.rank,
+            awardedAt: now
+        };
+        matchHistory.addAward(entry.name, award);
+        emitToPlayer(entry.name, 'season_award', award);
+    });
+    matchHistory.persist();
+    
+    seasonManager.archive(season, standings, now);
+    resetLeaderboard(season.resetMode);
+    io.emit('season_ended', { id: season.id, name: season.name, standings: standings.slice(0, 10) });
+    console.log(`🗓️ Season ${season.name} ended, ${standings.length} players archived (${season.resetMode} reset)`);
+}
+
+function runSeasons() {
+    const now = Date.now();
+    const { ending, starting } = seasonManager.due(now);
+    
+    ending.forEach(season => endSeason(season, now));
+    starting.forEach(season => {
+        seasonManager.activate(season);
+        io.emit('season_started', { id: season.id, name: season.name, startsAt: season.startsAt, endsAt: season.endsAt });
+        console.log(`🗓️ Season ${season.name} started`);
+    });
+}
+
+setInterval(runSeasons, SEASON.TICK_MS);
+
+function registerPlayer(playerName) {
+    if (!playerName || registeredPlayers.has(playerName)) return;
+    registeredPlayers.add(playerName);
+    persistRegisteredPlayers();
+}
+
+// Bekleyen istekler cevaplanana kadar her bağlantıda yeniden gönderilir
+function deliverPendingFriendRequests(socket, playerName) {
+    const requests = friendGraph.incoming(playerName);
+    if (requests.length === 0) return;
+    
+    console.log(`📬 Delivering ${requests.length} pending friend requests to ${playerName}`);
+    requests.forEach(request => {
+        socket.emit('friend_request_received', {
+            id: request.id,
+            from: request.from,
+            timestamp: request.timestamp
+        });
+    });
+}
+
+// 👥 Oyuncunun tüm bağlantılarına gönder, çevrimdışıysa false döner
+// Oyuncu başka instance'taysa event broker üzerinden o instance'a gider
+function emitToPlayer(playerName, eventName, data) {
+    const sockets = presence.getSockets(playerName);
+    sockets.forEach(s => s.emit(eventName, data));
+    if (sockets.length > 0) return true;
+    
+    const remote = cluster.locatePlayer(playerName);
+    if (!remote) return false;
+    cluster.sendTo(remote.instanceId, { type: 'emit', playerName, eventName, data });
+    return true;
+}
+
+// Durum değiştiyse çevrimiçi arkadaşlara bildir
+function publishPresence(playerName) {
+    const status = presence.refresh(playerName);
+    if (!status) return;
+    
+    cluster.publish('presence', { playerName, ...status });
+    friendGraph.getFriends(playerName).forEach(friendName => {
+        emitToPlayer(friendName, 'friend_status', { playerName, ...status });
+    });
+}
+
+// 📜 Profil sadece kayıtlı oyuncular için - henüz maç oynamamışsa boş profil
+function getPlayerProfile(playerName, options) {
+    if (!accountManager.has(playerName)) return null;
+    return { ...matchHistory.getProfile(playerName, options), club: clubManager.getBadge(playerName) };
+}
+
+function getFriendList(playerName) {
+    return friendGraph.getFriends(playerName).map(friendName => ({
+        playerName: friendName,
+        ...presence.getStatus(friendName)
+    }));
+}
+
+// 📋 Event payload şemaları - her inbound event burada tanımlı, handler'a ulaşmadan önce doğrulanır
+// Tipler: string, number, integer, boolean, object, binary. null şema = payload okunmaz.
+// Şemada olmayan alanlar hata sayılmaz, handler'lar zaten sadece bildikleri alanları okur.
+const ID_FIELD = { type: 'string', minLength: 1, maxLength: 100 };
+const PLAYER_FIELD = { type: 'string', minLength: 1, maxLength: 20 };
+const PASSWORD_FIELD = { type: 'string', maxLength: 50 };
+const GAME_MODE_FIELD = { type: 'string', enum: GAME_MODES };
+const PAGE_FIELD = { type: 'integer', min: 1, max: 10000 };
+const RULESET_FIELD = { type: 'string', enum: Object.keys(rulesCatalogue.rulesets) };
+const DURATION_FIELD = { type: 'integer', enum: rulesCatalogue.durations };
+const required = spec => ({ ...spec, required: true });
+const payload = (fields, options = {}) => ({ type: 'object', fields, ...options });
+
+const EVENT_SCHEMAS = {
+    // Oda ve lobi
+    create_room: payload({
+        roomName: { type: 'string', maxLength: 40 },
+        gameMode: GAME_MODE_FIELD,
+        maxPlayers: { type: 'integer', min: 2, max: 10 },
+        rulesetId: RULESET_FIELD,
+        stadium: { type: 'string', enum: STADIUMS },
+        weather: { type: 'string', enum: WEATHER_TYPES },
+        matchDuration: DURATION_FIELD,
+        drawResolution: { type: 'string', enum: DRAW_RESOLUTIONS },
+        isPrivate: { type: 'boolean' },
+        password: PASSWORD_FIELD,
+        maxSpectators: { type: 'integer', min: 0, max: 50 },
+        clubChallengeId: ID_FIELD
+    }),
+    get_rooms: null,
+    get_rules: null,
+    update_room_settings: payload({
+        rulesetId: RULESET_FIELD,
+        stadium: { type: 'string', enum: STADIUMS },
+        weather: { type: 'string', enum: WEATHER_TYPES },
+        matchDuration: DURATION_FIELD,
+        drawResolution: { type: 'string', enum: DRAW_RESOLUTIONS }
+    }),
+    join_room: payload({ roomId: required(ID_FIELD), password: PASSWORD_FIELD }, { required: true }),
+    queue_join: payload({ gameMode: GAME_MODE_FIELD, stadium: { type: 'string', enum: ['any', ...STADIUMS] } }),
+    queue_leave: null,
+    toggle_ready: null,
+    switch_team: payload({ team: { type: 'string', enum: TEAMS, required: true } }),
+    leave_room: null,
+    
+    // Turnuvalar
+    get_tournaments: null,
+    watch_tournament: payload({ tournamentId: required(ID_FIELD) }),
+    unwatch_tournament: payload({ tournamentId: required(ID_FIELD) }),
+    create_tournament: payload({
+        name: { type: 'string', minLength: 1, maxLength: 50, required: true },
+        format: { type: 'string', enum: TOURNAMENT.FORMATS, required: true },
+        signupMinutes: { type: 'integer', min: 1, max: TOURNAMENT.MAX_SIGNUP_MINUTES },
+        maxParticipants: { type: 'integer', min: TOURNAMENT.MIN_PARTICIPANTS, max: TOURNAMENT.MAX_PARTICIPANTS },
+        stadium: { type: 'string', enum: STADIUMS },
+        matchDuration: DURATION_FIELD
+    }),
+    tournament_sign_up: payload({ tournamentId: required(ID_FIELD) }),
+    tournament_withdraw: payload({ tournamentId: required(ID_FIELD) }),
+    start_tournament: payload({ tournamentId: required(ID_FIELD) }),
+    cancel_tournament: payload({ tournamentId: required(ID_FIELD) }),
+    tournament_check_in: payload({ tournamentId: required(ID_FIELD), matchId: required(ID_FIELD) }),
+    
+    // Maç
+    game_update: payload(Object.fromEntries(GAME_UPDATE_FIELDS.map(field => [field, { type: 'number' }])), { required: true }),
+    player_input: payload({
+        dx: { type: 'number', min: -1, max: 1 },
+        dy: { type: 'number', min: -1, max: 1 },
+        kick: { type: 'boolean' },
+        seq: { type: 'integer', min: 0 }
+    }, { required: true }),
+    input: { type: 'binary', maxLength: 8, required: true },
+    snap_ack: { type: 'integer', min: 0, max: 0xffff, required: true },
+    match_report: payload({
+        matchId: required(ID_FIELD),
+        score: payload({ home: { type: 'integer', min: 0, max: 99, required: true }, away: { type: 'integer', min: 0, max: 99, required: true } }, { required: true })
+    }),
+    start_replay: payload({ scorer: { type: 'string', maxLength: 20 } }, { required: true }),
+    half_time_ready: null,
+    penalty_choice: payload({ direction: { type: 'string', enum: PENALTY_DIRECTIONS, required: true } }),
+    // Eski client'ların faz event'leri - handler payload'a bakmadan reddeder
+    time_sync: null,
+    half_time: null,
+    second_half_start: null,
+    game_end: null,
+    
+    // İstatistik ve sıralamalar
+    offline_match_result: payload({
+        playerScore: { type: 'integer', min: 0, max: 99 },
+        aiScore: { type: 'integer', min: 0, max: 99 },
+        won: { type: 'boolean' },
+        lost: { type: 'boolean' }
+    }, { required: true }),
+    get_offline_stats: null,
+    get_ranked_leaderboard: payload({ gameMode: GAME_MODE_FIELD, page: PAGE_FIELD, pageSize: { type: 'integer', min: 1, max: 50 } }),
+    get_rating_history: payload({ gameMode: GAME_MODE_FIELD, playerName: PLAYER_FIELD }),
+    get_leaderboard: payload({ season: ID_FIELD, window: { type: 'string', enum: ['season', 'daily', 'weekly', 'all'] } }),
+    get_seasons: null,
+    get_profile: payload({
+        playerName: PLAYER_FIELD,
+        opponent: PLAYER_FIELD,
+        page: PAGE_FIELD,
+        pageSize: { type: 'integer', min: 1, max: MATCH_HISTORY.MAX_PAGE_SIZE }
+    }),
+    
+    // Kulüpler
+    create_club: payload({
+        name: { type: 'string', minLength: 3, maxLength: 30, required: true },
+        tag: { type: 'string', minLength: 2, maxLength: 5, required: true }
+    }),
+    leave_club: null,
+    club_kick: payload({ playerName: required(PLAYER_FIELD) }),
+    club_set_role: payload({ playerName: required(PLAYER_FIELD), role: { type: 'string', enum: CLUB.ROLES, required: true } }),
+    disband_club: null,
+    club_invite: payload({ playerName: required(PLAYER_FIELD) }),
+    accept_club_invitation: payload({ invitationId: required(ID_FIELD) }),
+    decline_club_invitation: payload({ invitationId: required(ID_FIELD) }),
+    club_join_request: payload({ clubId: required(ID_FIELD) }),
+    review_club_join_request: payload({ requestId: required(ID_FIELD), accept: { type: 'boolean' } }),
+    get_club: payload({ clubId: ID_FIELD }),
+    get_club_leaderboard: payload({ page: PAGE_FIELD }),
+    club_challenge: payload({ clubId: required(ID_FIELD), gameMode: GAME_MODE_FIELD }),
+    respond_club_challenge: payload({ challengeId: required(ID_FIELD), accept: { type: 'boolean' } }),
+    
+    // Arkadaşlar
+    send_friend_request: payload({ to: required(PLAYER_FIELD) }),
+    accept_friend_request: payload({ requestId: required(ID_FIELD) }),
+    decline_friend_request: payload({ requestId: required(ID_FIELD) }),
+    remove_friend: payload({ to: required(PLAYER_FIELD) }),
+    send_game_invite: payload({
+        to: required(PLAYER_FIELD),
+        roomId: required(ID_FIELD),
+        roomName: { type: 'string', maxLength: 40 }
+    }, { required: true }),
+    get_online_friends: null,
+    get_friends: null,
+    
+    // Güvenlik ve replay
+    security_alert: payload({ type: { type: 'string', maxLength: 50 } }, { required: true }),
+    list_replays: payload({ playerName: PLAYER_FIELD }),
+    get_replay: payload({ replayId: required(ID_FIELD) }),
+    stream_replay: payload({ replayId: required(ID_FIELD), speed: { type: 'number', min: REPLAY.MIN_SPEED, max: REPLAY.MAX_SPEED } }),
+    stop_replay_stream: null,
+    
+    // İzleyici
+    spectate_room: payload({ roomId: required(ID_FIELD), password: PASSWORD_FIELD }),
+    stop_spectating: null,
+    
+    // Sohbet ve emoji - uzunluk ve küfür filtresi chatManager.sanitize'da, burada sadece kaba sınır
+    send_emoji: payload({ emoji: { type: 'string', pattern: EMOJI_PATTERN, required: true } }),
+    chat_message: payload({
+        channel: { type: 'string', enum: ['room', 'spectators', 'lobby', 'direct'], required: true },
+        message: { type: 'string', maxLength: CHAT.MAX_LENGTH * 5, required: true },
+        to: PLAYER_FIELD
+    }),
+    chat_mute: payload({ playerName: required(PLAYER_FIELD) }),
+    chat_unmute: payload({ playerName: required(PLAYER_FIELD) }),
+    chat_block: payload({ playerName: required(PLAYER_FIELD) }),
+    chat_unblock: payload({ playerName: required(PLAYER_FIELD) }),
+    get_chat_settings: null,
+    
+    // Yeniden bağlanma
+    resume_match: payload({ resumeToken: { type: 'string', minLength: 1, maxLength: 128, required: true } })
+};
+
+// Hataları 'alan: açıklama' listesi olarak toplar; null ve undefined eksik alan sayılır
+function checkValue(spec, value, path, errors) {
+    if (value === undefined || value === null) {
+        if (spec.required) errors.push(`${path}: is required`);
+        return;
+    }
+    
+    switch (spec.type) {
+        case 'string':
+            if (typeof value !== 'string') return errors.push(`${path}: must be a string`);
+            if (spec.minLength !== undefined && value.length < spec.minLength) errors.push(`${path}: must be at least ${spec.minLength} characters`);
+            if (spec.maxLength !== undefined && value.length > spec.maxLength) errors.push(`${path}: must be at most ${spec.maxLength} characters`);
+            if (spec.pattern && !spec.pattern.test(value)) errors.push(`${path}: has an invalid format`);
+            break;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return errors.push(`${path}: must be a number`);
+            if (spec.type === 'integer' && !Number.isInteger(value)) return errors.push(`${path}: must be an integer`);
+            if (spec.min !== undefined && value < spec.min) errors.push(`${path}: must be >= ${spec.min}`);
+            if (spec.max !== undefined && value > spec.max) errors.push(`${path}: must be <= ${spec.max}`);
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return errors.push(`${path}: must be a boolean`);
+            break;
+        case 'binary':
+            if (!Buffer.isBuffer(value)) return errors.push(`${path}: must be binary`);
+            if (spec.maxLength !== undefined && value.length > spec.maxLength) errors.push(`${path}: must be at most ${spec.maxLength} bytes`);
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value) || Buffer.isBuffer(value)) return errors.push(`${path}: must be an object`);
+            Object.entries(spec.fields || {}).forEach(([name, fieldSpec]) => checkValue(fieldSpec, value[name], name, errors));
+            break;
+    }
+    
+    if (spec.enum && !spec.enum.includes(value)) errors.push(`${path}: must be one of ${spec.enum.join(', ')}`);
+}
+
+// Returns [errors] or null; şemada olmayan event'lerin handler'ı yok, socket.io zaten düşürür
+function validatePayload(eventName, data) {
+    const schema = EVENT_SCHEMAS[eventName];
+    if (!schema || !Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, eventName)) return null;
+    
+    const errors = [];
+    // (data = {}) varsayılanı null'u yakalamaz, payload null gelirse handler patlar
+    if (data === null) {
+        errors.push(`payload: must be ${schema.type === 'object' ? 'an object' : `a ${schema.type}`}`);
+    } else {
+        checkValue(schema, data, 'payload', errors);
+    }
+    return errors.length ? errors : null;
+}
+
+// 📋 Geçersiz payload handler'a hiç ulaşmaz: validation_error döner ve şüpheli aktivite sayılır
+function enforceEventSchemas(socket) {
+    socket.use(([eventName, data], next) => {
+        const errors = validatePayload(eventName, data);
+        if (!errors) return next();
+        
+        metrics.inc('socket_validation_errors_total', { event: eventName });
+        securityManager.logSuspiciousActivity(socket.id, 'INVALID_PAYLOAD', { event: eventName, errors });
+        socket.emit('validation_error', { event: eventName, errors });
+    });
+}
+
+// 🛡️ Secure socket wrapper (simplified for compatibility)
+function secureSocketHandler(socket, eventName, handler, rateLimit = 20) {
+    socket.on(eventName, (data) => {
+        // Check if socket is blocked
+        if (securityManager.isBlocked(socket.id)) {
+            console.warn(`🚨 Blocked socket attempted ${eventName}: ${socket.id}`);
+            socket.emit('security_error', { message: 'Access denied', code: 'BLOCKED' });
+            return;
+        }
+        
+        // Rate limiting (more lenient) - aşımlar checkRateLimit içinde sayılır
+        if (!securityManager.checkRateLimit(socket.id, eventName, rateLimit)) {
+            console.warn(`⚠️ Rate limit for ${eventName}: ${socket.id}`);
+            // Don't block, just warn
+        }
+        
+        try {
+            handler(data);
+        } catch (error) {
+            metrics.inc('socket_handler_errors_total', { event: eventName });
+            console.error(`Error in ${eventName}:`, error);
+        }
+    });
+}
+
+// Socket.IO bağlantısı
+io.on('connection', (socket) => {
+    const playerId = ++playerCount;
+    console.log(`Player ${playerId} connected (${socket.id})`);
+
+    socket.playerId = playerId;
+    
+    // 📦 Protokol seçimi handshake'te: auth.protocol = 'binary-v1', aksi halde JSON
+    if (socket.handshake.auth && socket.handshake.auth.protocol === PROTOCOL.NAME) {
+        socket.snapshotEncoder = new SnapshotEncoder();
+        socket.join(BINARY_PROTOCOL_GROUP);
+    }
+    socket.emit('protocol_info', {
+        protocol: socket.snapshotEncoder ? PROTOCOL.NAME : 'json',
+        version: socket.snapshotEncoder ? PROTOCOL.VERSION : null
+    });
+    
+    // Event adı istemciden gelir; şemada olmayanlar tek 'other' etiketinde toplanır (label sayısı sınırlı kalır)
+    socket.onAny(eventName => metrics.inc('socket_events_total', {
+        event: Object.hasOwn(EVENT_SCHEMAS, eventName) ? eventName : 'other'
+    }));
+    enforceEventSchemas(socket);
+    
+    // 🛡️ Connection security check
+    const clientIP = socket.handshake.address;
+    console.log(`🔍 Connection from IP: ${clientIP}`);
+    
+    // Track connection attempts per IP
+    if (!securityManager.checkRateLimit(clientIP, 'connection', 5)) {
+        console.warn(`🚨 Too many connections from IP: ${clientIP}`);
+        socket.disconnect(true);
+        return;
+    }
+    
+    // Kimlik handshake'te doğrulandı - oyuncuyu kaydet ve bekleyen istekleri teslim et
+    registerPlayer(socket.playerName);
+    securityManager.identify(socket.id, { playerName: socket.playerName, ip: clientIP });
+    presence.add(socket);
+    publishPresence(socket.playerName);
+    deliverPendingFriendRequests(socket, socket.playerName);
+    socket.emit('chat_history', { channel: 'lobby', messages: chatManager.getHistory('lobby', socket.playerName) });
+
+    // 🛡️ Secure event handlers
+    secureSocketHandler(socket, 'create_room', (data = {}) => {
+        // Kabul edilmiş kulüp meydan okuması aynı akışla özel odaya dönüşür
+        let clubMatch = null;
+        if (data.clubChallengeId) {
+            const { challenge, club, opponent, error } = clubManager.claimChallenge(data.clubChallengeId, socket.playerName);
+            if (error) {
+                socket.emit('club_error', { message: error });
+                return;
+            }
+            data = { ...data, roomName: data.roomName || `${club.tag} vs ${opponent.tag}`, gameMode: challenge.gameMode, isPrivate: true };
+            clubMatch = { challengeId: challenge.id, home: clubManager.getBadge(socket.playerName), away: { id: opponent.id, name: opponent.name, tag: opponent.tag } };
+        }
+        
+        matchmakingQueue.leave(socket.id);
+        const roomData = createRoom(socket, data);
+        if (clubMatch) {
+            roomData.clubMatch = clubMatch;
+            [clubManager.get(clubMatch.home.id), clubManager.get(clubMatch.away.id)].forEach(club => {
+                emitToClub(club, 'club_challenge_room', { challengeId: clubMatch.challengeId, roomId: roomData.id, room: roomData });
+            });
+        }
+
+        socket.emit('room_created', { roomId: roomData.id, room: roomData });
+        broadcastRoomList();
+
+        console.log(`Room created: ${roomData.id} by ${socket.playerName}`);
+    }, 2); // Max 2 room creations per minute
+
+    // Oda listesini al
+    socket.on('get_rooms', () => {
+        socket.emit('rooms_list', getPublicRooms());
+    });
+    
+    socket.on('get_rules', () => {
+        socket.emit('rules_catalogue', rulesCatalogue.describe());
+    });
+    
+    // ⚙️ Lobide oda ayarları - sadece host, maç başlamadan; turnuva odalarının ayarları turnuvadan gelir
+    secureSocketHandler(socket, 'update_room_settings', (data = {}) => {
+        const room = socket.currentRoom && rooms[socket.currentRoom];
+        if (!room || room.host.id !== socket.id) {
+            socket.emit('room_settings_error', { message: 'Only the host can change room settings' });
+            return;
+        }
+        if (room.status !== 'waiting' || room.tournament) {
+            socket.emit('room_settings_error', { message: 'Room settings can only be changed in the lobby' });
+            return;
+        }
+        
+        Object.assign(room, resolveRoomRules(data, room));
+        // Ayarlar değişti - herkes yeniden hazır olmalı
+        room.players.forEach(p => p.ready = false);
+        io.to(room.id).emit('room_updated', { room });
+        broadcastRoomList();
+        console.log(`⚙️ ${socket.playerName} changed settings of room ${room.id}: ruleset ${room.rulesetId}, ${room.stadium}/${room.weather}, ${room.matchDuration}s`);
+    }, 10);
+
+    // Odaya katıl
+    secureSocketHandler(socket, 'join_room', (data) => {
+        console.log('📥 Join room request:', data);
+        
+        const room = rooms[data.roomId];
+        
+        if (!room) {
+            const remote = cluster.findRoom(data.roomId);
+            if (remote) {
+                // Oda başka instance'ta - client oraya bağlanıp tekrar denemeli
+                socket.emit('join_error', { message: 'Room is hosted on another server', code: 'WRONG_INSTANCE', instanceId: remote.instanceId, url: remote.url });
+                return;
+            }
+            console.log('❌ Room not found:', data.roomId);
+            socket.emit('join_error', { message: 'Oda bulunamadı' });
+            return;
+        }
+
+        if (room.tournament) {
+            socket.emit('join_error', { message: 'Tournament rooms are joined with tournament_check_in' });
+            return;
+        }
+
+        if (room.clubMatch) {
+            const side = pickTeam(room, socket.playerName);
+            if (!side) {
+                socket.emit('join_error', { message: 'Only members of the two clubs can join this match' });
+                return;
+            }
+            if (room.players.filter(p => p.team === side).length >= teamCapacity(room)) {
+                socket.emit('join_error', { message: 'Your club side is full' });
+                return;
+            }
+        }
+
+        if (room.status !== 'waiting') {
+            console.log('❌ Game already started');
+            socket.emit('join_error', { message: 'Oyun zaten başlamış' });
+            return;
+        }
+
+        if (room.players.length >= room.maxPlayers) {
+            console.log('❌ Room full');
+            socket.emit('join_error', { message: 'Oda dolu' });
+            return;
+        }
+
+        if (room.password && room.password !== data.password) {
+            console.log('❌ Wrong password');
+            socket.emit('join_error', { message: 'Yanlış şifre' });
+            return;
+        }
+
+        matchmakingQueue.leave(socket.id);
+        const player = addPlayerToRoom(socket, room);
+
+        // Odadaki herkese bildir
+        io.to(data.roomId).emit('player_joined', { player, room });
+        socket.emit('room_joined', { room });
+        broadcastRoomList();
+
+        console.log(`✅ ${socket.playerName} joined room ${data.roomId}`);
+    });
+
+    // 🎯 Otomatik eşleşme kuyruğu
+    socket.on('queue_join', (data = {}) => {
+        if (socket.currentRoom) {
+            socket.emit('queue_error', { message: 'Leave your room before joining the queue' });
+            return;
+        }
+        
+        const gameMode = data.gameMode || '1v1';
+        const rating = ratingManager.getRating(gameMode, socket.playerName);
+        const entry = matchmakingQueue.join(socket, gameMode, data.stadium, rating);
+        
+        socket.emit('queue_joined', matchmakingQueue.getStatus(entry, Date.now()));
+        console.log(`🎯 ${socket.playerName} joined ${gameMode} queue (rating ${rating})`);
+    });
+    
+    socket.on('queue_leave', () => {
+        if (matchmakingQueue.leave(socket.id)) {
+            socket.emit('queue_left');
+            console.log(`🎯 ${socket.playerName} left the queue`);
+        }
+    });
+
+    // 🏆 Turnuvalar
+    socket.on('get_tournaments', () => {
+        socket.emit('tournaments_list', tournamentManager.list());
+    });
+    
+    // Bracket'i izlemeye başla - güncellemeler tournament_updated ile gelir
+    socket.on('watch_tournament', (data = {}) => {
+        const state = tournamentManager.getState(data.tournamentId);
+        if (!state) {
+            socket.emit('tournament_error', { message: 'Tournament not found' });
+            return;
+        }
+        socket.join(tournamentGroup(state.id));
+        socket.emit('tournament_updated', state);
+    });
+    
+    socket.on('unwatch_tournament', (data = {}) => {
+        socket.leave(tournamentGroup(data.tournamentId));
+    });
+    
+    secureSocketHandler(socket, 'create_tournament', (data = {}) => {
+        const { tournament, error } = tournamentManager.create(socket.playerName, data);
+        if (error) {
+            socket.emit('tournament_error', { message: error });
+            return;
+        }
+        socket.join(tournamentGroup(tournament.id));
+        socket.emit('tournament_created', tournamentManager.getState(tournament.id));
+        broadcastTournamentList();
+        console.log(`🏆 ${socket.playerName} created tournament ${tournament.name} (${tournament.format})`);
+    }, 3);
+    
+    // Kayıt ve çekilme aynı cevabı döner
+    [['tournament_sign_up', 'signUp'], ['tournament_withdraw', 'withdraw']].forEach(([eventName, method]) => {
+        socket.on(eventName, (data = {}) => {
+            const { tournament, error } = tournamentManager[method](data.tournamentId, socket.playerName);
+            if (error) {
+                socket.emit('tournament_error', { message: error });
+                return;
+            }
+            socket.join(tournamentGroup(tournament.id));
+            broadcastTournament(tournament);
+        });
+    });
+    
+    // Kayıt süresi dolmadan başlatma ve iptal sadece kurucuya açık
+    socket.on('start_tournament', (data = {}) => {
+        const tournament = tournamentManager.get(data.tournamentId);
+        if (!tournament || tournament.createdBy !== socket.playerName) {
+            socket.emit('tournament_error', { message: 'Only the organizer can start the tournament' });
+            return;
+        }
+        const error = beginTournament(tournament);
+        if (error) socket.emit('tournament_error', { message: error });
+    });
+    
+    socket.on('cancel_tournament', (data = {}) => {
+        const tournament = tournamentManager.get(data.tournamentId);
+        if (!tournament || tournament.createdBy !== socket.playerName) {
+            socket.emit('tournament_error', { message: 'Only the organizer can cancel the tournament' });
+            return;
+        }
+        const { error } = tournamentManager.cancel(tournament.id);
+        if (error) {
+            socket.emit('tournament_error', { message: error });
+            return;
+        }
+        closeTournamentRooms(tournament, 'Tournament cancelled');
+        broadcastTournament(tournament);
+    });
+    
+    // Maç odasına giriş: ilk gelen odayı kurar, ikinci gelince maç başlar
+    secureSocketHandler(socket, 'tournament_check_in', (data = {}) => {
+        const tournament = tournamentManager.get(data.tournamentId);
+        const match = tournament && tournament.matches.find(m => m.id === data.matchId);
+        if (!match || match.status !== 'ready' || !match.slots.some(s => s.player === socket.playerName)) {
+            socket.emit('tournament_error', { message: 'No open tournament match to check in to' });
+            return;
+        }
+        if (socket.currentRoom) {
+            socket.emit('tournament_error', { message: 'Leave your room before checking in' });
+            return;
+        }
+        // Aynı oyuncu ikinci sekmeden girip rakibin koltuğunu dolduramaz
+        const room = match.roomId && rooms[match.roomId];
+        if (room && room.players.some(p => p.name === socket.playerName)) {
+            socket.emit('tournament_error', { message: 'You are already checked in to this match' });
+            return;
+        }
+        
+        matchmakingQueue.leave(socket.id);
+        checkInTournamentMatch(socket, tournament, match);
+    }, 5);
 
     // Hazır durumu değiştir
     socket.on('toggle_ready', () => {
         if (!socket.currentRoom) return;
         
-        const room = rooms[socket.currentRoom];
-        if (!room) return;
-
-        const player = room.players.find(p => p.id === socket.id);
-        if (player) {
-            player.ready = !player.ready;
-            io.to(socket.currentRoom).emit('player_ready_changed', { playerId: player.playerId, ready: player.ready, room });
+        const room = rooms[socket.currentRoom];
+        if (!room) return;
+        // Turnuva odalarında başlangıç ve takımlar sunucu tarafından belirlenir
+        if (room.status !== 'waiting' || room.tournament) {
+            rejectPhaseEvent(socket, 'toggle_ready');
+            return;
+        }
+
+        const player = room.players.find(p => p.id === socket.id);
+        if (player) {
+            player.ready = !player.ready;
+            io.to(socket.currentRoom).emit('player_ready_changed', { playerId: player.playerId, ready: player.ready, room });
+
+            // Tüm oyuncular hazırsa ve takımlar dengeliyse oyunu başlat
+            if (room.players.length >= 2 && room.players.every(p => p.ready)) {
+                const blockedReason = getStartBlockedReason(room);
+                if (blockedReason) {
+                    io.to(socket.currentRoom).emit('start_blocked', { reason: blockedReason, room });
+                } else {
+                    startGame(room);
+                }
+            }
+        }
+    });
+
+    // 👥 Lobide takım değiştir
+    socket.on('switch_team', (data = {}) => {
+        if (!socket.currentRoom) return;
+        
+        const room = rooms[socket.currentRoom];
+        if (!room) return;
+        // Turnuva ve kulüp maçlarında takımlar sunucu tarafından belirlenir
+        if (room.status !== 'waiting' || room.tournament || room.clubMatch) {
+            rejectPhaseEvent(socket, 'switch_team');
+            return;
+        }
+        
+        const player = room.players.find(p => p.id === socket.id);
+        if (!player || !TEAMS.includes(data.team) || player.team === data.team) return;
+        
+        if (room.players.filter(p => p.team === data.team).length >= teamCapacity(room)) {
+            socket.emit('team_error', { message: 'Team is full' });
+            return;
+        }
+        
+        player.team = data.team;
+        player.ready = false;
+        io.to(socket.currentRoom).emit('room_updated', { room });
+        console.log(`👥 ${socket.playerName} switched to ${data.team} in room ${room.id}`);
+    });
+
+    // Oyun güncellemesi - pozisyon ve top bilgisi
+    socket.on('game_update', (data) => {
+        if (!socket.currentRoom) return;
+        
+        // Performans için log yok (çok sık çağrılıyor)
+        // Sadece bilinen sayısal alanlar aktarılır, client'ın gönderdiği diğer her şey düşer
+        if (!data || typeof data !== 'object') return;
+        const update = { playerId: socket.playerId };
+        GAME_UPDATE_FIELDS.forEach(field => {
+            if (typeof data[field] === 'number' && Number.isFinite(data[field])) update[field] = data[field];
+        });
+        const simulation = matchSimulations.get(socket.currentRoom);
+        if (simulation) cheatDetector.observeMovement(socket, rooms[socket.currentRoom], simulation, update);
+        metrics.time('relay_fanout_seconds', { kind: 'game_update' }, () => socket.to(socket.currentRoom).emit('game_update', update));
+    });
+    
+    // 🎮 Player input - sunucu simülasyonu pozisyonu ve topu hesaplar
+    // ball_sync, ball_touch, player_sync, time_sync ve goal_update artık sadece sunucudan yayınlanır
+    socket.on('player_input', (data) => {
+        if (!socket.currentRoom || !data) return;
+        const simulation = matchSimulations.get(socket.currentRoom);
+        if (!simulation) return;
+
+        cheatDetector.observeInput(socket, rooms[socket.currentRoom]);
+        simulation.applyInput(socket.id, data);
+    });
+    
+    // 📦 binary-v1 input ve snapshot onayı
+    socket.on('input', (buffer) => {
+        const input = decodeInput(buffer);
+        const simulation = socket.currentRoom && matchSimulations.get(socket.currentRoom);
+        if (!input || !simulation) return;
+        
+        cheatDetector.observeInput(socket, rooms[socket.currentRoom]);
+        simulation.applyInput(socket.id, input);
+    });
+    
+    socket.on('snap_ack', (seq) => {
+        if (socket.snapshotEncoder && Number.isInteger(seq)) {
+            socket.snapshotEncoder.ack(seq);
+        }
+    });
+
+    // Replay başlat - host replay başlattığında diğer oyunculara bildir
+    socket.on('start_replay', (data) => {
+        if (!socket.currentRoom) {
+            console.log('❌ REPLAY EVENT: No room!');
+            return;
+        }
+        
+        const room = rooms[socket.currentRoom];
+        if (!room) {
+            console.log('❌ REPLAY EVENT: Room not found!');
+            return;
+        }
+        
+        // Replay tetiklemek host görevi
+        if (room.host.id !== socket.id) {
+            console.log(`❌ REPLAY EVENT: ${socket.playerName} is not the host`);
+            return;
+        }
+        
+        // Replay sadece gol sonrası duraklamada oynatılabilir
+        const simulation = matchSimulations.get(room.id);
+        if (!simulation || simulation.state !== 'goal_pause') {
+            rejectPhaseEvent(socket, 'start_replay');
+            return;
+        }
+        
+        console.log(`🎬 REPLAY EVENT RECEIVED from ${socket.playerName} in room ${socket.currentRoom}`);
+        console.log(`   Scorer: ${data.scorer}`);
+        console.log(`   Players in room: ${room.players.map(p => p.name).join(', ')}`);
+        
+        // SADECE DİĞER OYUNCULARA replay başladığını bildir (host kendi replay'ini başlatıyor)
+        socket.to(socket.currentRoom).emit('replay_started', {
+            scorer: data.scorer
+        });
+        
+        console.log(`   ✅ Replay event sent to other players in room ${socket.currentRoom}`);
+    });
+
+    // Half-time ready
+    socket.on('half_time_ready', () => {
+        if (!socket.currentRoom) return;
+        const room = rooms[socket.currentRoom];
+        if (!room) return;
+        
+        const simulation = matchSimulations.get(room.id);
+        if (!simulation || simulation.phase !== 'half_time') {
+            rejectPhaseEvent(socket, 'half_time_ready');
+            return;
+        }
+        
+        // Initialize if not exists
+        if (!room.halfTimeReady) {
+            room.halfTimeReady = new Set();
+        }
+        
+        // Add player to ready set
+        room.halfTimeReady.add(socket.id);
+        
+        const readyCount = room.halfTimeReady.size;
+        const totalPlayers = room.players.length;
+        
+        console.log(`⏸️ Half-time ready: ${readyCount}/${totalPlayers} in room ${socket.currentRoom}`);
+        
+        // Broadcast ready status
+        io.to(socket.currentRoom).emit('half_time_ready_update', {
+            readyCount: readyCount,
+            totalPlayers: totalPlayers
+        });
+        
+        // If all players ready, the next simulation tick starts the second half
+        if (readyCount >= totalPlayers) {
+            console.log(`⚽ All players ready, resuming game in room ${socket.currentRoom}`);
+            simulation.endHalfTime(Date.now());
+        }
+    });
+
+    // 🥅 Penaltı yönü - atan oyuncu şut, kaleci atlayış yönü seçer
+    socket.on('penalty_choice', (data = {}) => {
+        if (!socket.currentRoom) return;
+        const simulation = matchSimulations.get(socket.currentRoom);
+        if (!simulation || simulation.phase !== 'penalties') {
+            rejectPhaseEvent(socket, 'penalty_choice');
+            return;
+        }
+        
+        if (!simulation.applyPenaltyChoice(socket.id, data.direction)) {
+            socket.emit('phase_error', { event: 'penalty_choice', phase: simulation.phase, message: 'Not your turn or invalid direction' });
+        }
+    });
+
+    // 🧾 Client'ın gördüğü skor - resmi kayıtla karşılaştırılır, uyuşmazsa dispute açılır
+    secureSocketHandler(socket, 'match_report', (data) => {
+        const { match, disputed, error } = matchLedger.report(data.matchId, socket.playerName, data.score);
+        if (error) {
+            socket.emit('match_report_error', { matchId: data.matchId, message: error });
+            return;
+        }
+        if (disputed) {
+            cheatDetector.observeResultReport(socket, match, data.score);
+        }
+        socket.emit('match_report_ack', { matchId: match.id, status: match.status, score: match.score });
+    }, 5);
+
+    // Maç fazlarını sadece sunucu değiştirir - eski client'ların faz event'leri reddedilir
+    ['time_sync', 'half_time', 'second_half_start', 'game_end'].forEach(eventName => {
+        socket.on(eventName, () => rejectPhaseEvent(socket, eventName));
+    });
+
+    // Emoji gönderme
+    socket.on('send_emoji', (data = {}) => {
+        if (typeof data.emoji !== 'string' || !EMOJI_PATTERN.test(data.emoji)) return;
+        
+        // İzleyici emojileri sadece diğer izleyicilere gider
+        if (socket.spectatingRoom) {
+            socket.to(spectatorGroup(socket.spectatingRoom)).emit('emoji_received', {
+                playerName: socket.playerName,
+                emoji: data.emoji,
+                spectator: true
+            });
+            return;
+        }
+        if (!socket.currentRoom) return;
+        console.log(`😎 Player ${socket.playerId} (${socket.playerName}) sent emoji: ${data.emoji}`);
+        socket.to(socket.currentRoom).emit('emoji_received', {
+            playerId: socket.playerId,
+            playerName: socket.playerName,
+            emoji: data.emoji
+        });
+    });
+
+    // Offline maç sonucu - AI'ya karşı oynanan maçlar (ayrı tutulur, rating'e etki etmez)
+    socket.on('offline_match_result', (data) => {
+        const playerName = socket.playerName;
+        
+        if (!offlineStats[playerName]) {
+            offlineStats[playerName] = {
+                name: playerName,
+                wins: 0,
+                losses: 0,
+                draws: 0,
+                goals: 0,
+                goalsAgainst: 0,
+                gamesPlayed: 0
+            };
+        }
+
+        const stats = offlineStats[playerName];
+        stats.gamesPlayed++;
+        stats.goals += data.playerScore || 0;
+        stats.goalsAgainst += data.aiScore || 0;
+
+        if (data.won) {
+            stats.wins++;
+        } else if (data.lost) {
+            stats.losses++;
+        } else {
+            stats.draws++;
+        }
+        persistOfflineStats();
+
+        console.log(`📊 Offline match result: ${playerName} - ${data.playerScore}:${data.aiScore} (${data.won ? 'WIN' : data.lost ? 'LOSS' : 'DRAW'})`);
+    });
+
+    // Offline istatistikleri al
+    socket.on('get_offline_stats', () => {
+        socket.emit('offline_stats_data', offlineStats[socket.playerName] || null);
+    });
+
+    // 📈 Rating sıralaması - gameMode başına ayrı tablo, sayfalı
+    socket.on('get_ranked_leaderboard', (data = {}) => {
+        const gameMode = data.gameMode || '1v1';
+        const page = Math.max(1, parseInt(data.page, 10) || 1);
+        const pageSize = Math.min(50, Math.max(1, parseInt(data.pageSize, 10) || 20));
+        
+        socket.emit('ranked_leaderboard_data', ratingManager.getLeaderboard(gameMode, page, pageSize));
+    });
+
+    // 📈 Rating geçmişi
+    socket.on('get_rating_history', (data = {}) => {
+        const gameMode = data.gameMode || '1v1';
+        const playerName = data.playerName || socket.playerName;
+        
+        socket.emit('rating_history_data', {
+            gameMode,
+            playerName,
+            history: ratingManager.getHistory(gameMode, playerName)
+        });
+    });
+
+    // Leaderboard al
+    socket.on('get_leaderboard', (data = {}) => {
+        const leaderboard = getLeaderboard(data);
+        if (!leaderboard) {
+            socket.emit('leaderboard_error', { message: 'Season not found' });
+            return;
+        }
+        socket.emit('leaderboard_data', leaderboard);
+    });
+    
+    socket.on('get_seasons', () => {
+        socket.emit('seasons_list', { active: seasonManager.getActive(), seasons: seasonManager.list() });
+    });
+
+    // 📜 Profil - playerName verilmezse kendi profili
+    socket.on('get_profile', (data = {}) => {
+        const playerName = data.playerName || socket.playerName;
+        socket.emit('profile_data', getPlayerProfile(playerName, data) || { playerName, notFound: true });
+    });
+
+    // 🤝 Kulüp olayları - her başarılı işlem güncel kulübü üyelere gönderir
+    const clubAction = (eventName, action) => {
+        socket.on(eventName, (data = {}) => {
+            const outcome = action(data);
+            if (outcome.error) {
+                socket.emit('club_error', { message: outcome.error });
+                return;
+            }
+            if (outcome.club) {
+                broadcastClub(outcome.club);
+            }
+        });
+    };
+    
+    clubAction('create_club', data => clubManager.create(socket.playerName, data));
+    clubAction('leave_club', () => {
+        const outcome = clubManager.leave(socket.playerName);
+        if (!outcome.error) socket.emit('club_updated', null);
+        return outcome;
+    });
+    clubAction('club_kick', data => {
+        const outcome = clubManager.kick(socket.playerName, data.playerName);
+        if (!outcome.error) emitToPlayer(data.playerName, 'club_updated', null);
+        return outcome;
+    });
+    clubAction('club_set_role', data => clubManager.setRole(socket.playerName, data.playerName, data.role));
+    clubAction('disband_club', () => {
+        const outcome = clubManager.disband(socket.playerName);
+        if (!outcome.error) outcome.club.members.forEach(m => emitToPlayer(m.name, 'club_updated', null));
+        return { error: outcome.error };
+    });
+    clubAction('club_invite', data => {
+        const club = clubManager.getPlayerClub(socket.playerName);
+        if (!club || !accountManager.has(data.playerName)) {
+            return { error: 'Player not found' };
+        }
+        const outcome = clubManager.invite(club.id, socket.playerName, data.playerName);
+        if (!outcome.error) {
+            emitToPlayer(data.playerName, 'club_invitation_received', {
+                id: outcome.invitation.id,
+                club: clubManager.getBadge(socket.playerName),
+                invitedBy: socket.playerName
+            });
+        }
+        return outcome;
+    });
+    [['accept_club_invitation', true], ['decline_club_invitation', false]].forEach(([eventName, accept]) => {
+        clubAction(eventName, data => clubManager.respondInvitation(data.invitationId, socket.playerName, accept));
+    });
+    clubAction('club_join_request', data => {
+        const outcome = clubManager.requestJoin(data.clubId, socket.playerName);
+        if (!outcome.error) {
+            socket.emit('club_join_request_sent', { clubId: data.clubId, id: outcome.request.id });
+        }
+        return outcome;
+    });
+    clubAction('review_club_join_request', data => {
+        const outcome = clubManager.reviewJoinRequest(data.requestId, socket.playerName, data.accept === true);
+        if (!outcome.error && data.accept !== true) {
+            emitToPlayer(outcome.request.playerName, 'club_join_request_declined', { clubId: outcome.club.id });
+        }
+        return outcome;
+    });
+    
+    socket.on('get_club', (data = {}) => {
+        const club = data.clubId ? clubManager.get(data.clubId) : clubManager.getPlayerClub(socket.playerName);
+        socket.emit('club_data', club ? clubManager.getView(club, socket.playerName) : null);
+    });
+    
+    socket.on('get_club_leaderboard', (data = {}) => {
+        socket.emit('club_leaderboard', clubManager.getLeaderboard(Math.max(1, parseInt(data.page, 10) || 1)));
+    });
+    
+    // ⚔️ Kulüp meydan okuması: kabul edilince iki taraftan bir yetkili create_room ile odayı kurar
+    clubAction('club_challenge', data => {
+        const outcome = clubManager.createChallenge(socket.playerName, data.clubId, data.gameMode);
+        if (outcome.error) return outcome;
+        
+        const { challenge, club, target } = outcome;
+        emitToClubOfficers(target, 'club_challenge_received', {
+            id: challenge.id,
+            from: clubManager.getBadge(socket.playerName),
+            gameMode: challenge.gameMode,
+            expiresAt: challenge.expiresAt
+        });
+        socket.emit('club_challenge_sent', { id: challenge.id, to: target.id });
+        console.log(`⚔️ Club challenge: ${club.tag} -> ${target.tag}`);
+        return {};
+    });
+    clubAction('respond_club_challenge', data => {
+        const outcome = clubManager.respondChallenge(data.challengeId, socket.playerName, data.accept === true);
+        if (outcome.error) return outcome;
+        
+        const { challenge } = outcome;
+        [challenge.from, challenge.to].forEach(clubId => {
+            emitToClubOfficers(clubManager.get(clubId), data.accept === true ? 'club_challenge_accepted' : 'club_challenge_declined', {
+                id: challenge.id,
+                gameMode: challenge.gameMode,
+                from: challenge.from,
+                to: challenge.to
+            });
+        });
+        return {};
+    });
+
+    // Friend System Events
+    socket.on('send_friend_request', (data = {}) => {
+        const from = socket.playerName;
+        const { to } = data;
+        if (typeof to !== 'string' || to === from) return;
+        if (!accountManager.has(to)) {
+            socket.emit('friend_request_failed', { message: `Player ${to} not found` });
+            return;
+        }
+        
+        const { request, accepted, error } = friendGraph.createRequest(from, to);
+        if (error) {
+            socket.emit('friend_request_failed', { message: error });
+            return;
+        }
+        console.log(`👥 Friend request: ${from} -> ${to}`);
+        
+        // Karşılıklı istek - ikisi de arkadaş oldu
+        if (accepted) {
+            socket.emit('friend_request_accepted', { id: request.id, from: to });
+            emitToPlayer(to, 'friend_request_accepted', { id: request.id, from });
+            return;
+        }
+        
+        const delivered = emitToPlayer(to, 'friend_request_received', {
+            id: request.id,
+            from,
+            timestamp: request.timestamp
+        });
+        socket.emit('friend_request_sent', {
+            id: request.id,
+            to,
+            message: delivered
+                ? `Friend request sent to ${to}!`
+                : `Friend request sent to ${to}! They will receive it when they come online.`
+        });
+    });
+    
+    // Kabul ve red aynı akış: isteği sadece alıcı cevaplayabilir
+    [['accept_friend_request', true], ['decline_friend_request', false]].forEach(([eventName, accept]) => {
+        socket.on(eventName, (data = {}) => {
+            const { request, error } = friendGraph.respond(data.requestId, socket.playerName, accept);
+            if (error) {
+                socket.emit('friend_request_failed', { message: error });
+                return;
+            }
+            console.log(`${accept ? '✅' : '❌'} Friend request ${accept ? 'accepted' : 'declined'}: ${request.to} -> ${request.from}`);
+            
+            emitToPlayer(request.from, accept ? 'friend_request_accepted' : 'friend_request_declined', {
+                id: request.id,
+                from: request.to
+            });
+            if (accept) {
+                socket.emit('friend_added', { playerName: request.from, ...presence.getStatus(request.from) });
+                emitToPlayer(request.from, 'friend_added', { playerName: request.to, ...presence.getStatus(request.to) });
+            }
+        });
+    });
+    
+    socket.on('remove_friend', (data = {}) => {
+        const from = socket.playerName;
+        const { to } = data;
+        if (!friendGraph.remove(from, to)) return;
+        console.log(`💔 Friend removed: ${from} removed ${to}`);
+        
+        emitToPlayer(to, 'friend_removed', { from });
+    });
+    
+    socket.on('send_game_invite', (data) => {
+        const from = socket.playerName;
+        const { to, roomId, roomName } = data;
+        console.log(`🎮 Game invite: ${from} invited ${to} to room ${roomName}`);
+        
+        const delivered = emitToPlayer(to, 'game_invite_received', {
+            id: crypto.randomBytes(8).toString('hex'),
+            from: from,
+            roomId: roomId,
+            roomName: roomName,
+            timestamp: Date.now()
+        });
+        
+        if (delivered) {
+            console.log(`✅ Game invite delivered to ${to}`);
+        } else {
+            socket.emit('game_invite_failed', {
+                message: 'Player not found or offline'
+            });
+            console.log(`❌ Game invite failed: ${to} not online`);
+        }
+    });
+    
+    // Arkadaş listesi sunucudaki grafikten gelir, client'ın listesine güvenilmez
+    socket.on('get_online_friends', () => {
+        const onlineFriends = friendGraph.getFriends(socket.playerName).filter(name => presence.isOnline(name));
+        socket.emit('online_friends_update', { onlineFriends });
+    });
+    
+    socket.on('get_friends', () => {
+        socket.emit('friends_list', {
+            friends: getFriendList(socket.playerName),
+            incoming: friendGraph.incoming(socket.playerName),
+            outgoing: friendGraph.outgoing(socket.playerName)
+        });
+    });
+    
+    // Odadan ayrıl
+    socket.on('leave_room', () => {
+        leaveRoom(socket);
+    });
+
+    // 🛡️ Security alert handler
+    secureSocketHandler(socket, 'security_alert', (data) => {
+        console.warn(`🚨 Client security alert from ${socket.id}:`, data);
+        securityManager.logSuspiciousActivity(socket.id, 'CLIENT_SECURITY_ALERT', data);
+    }, 3);
+
+    // Bağlantı kesildiğinde
+    // 🎬 Replay listesi / indirme / oynatma
+    socket.on('list_replays', (data = {}) => {
+        socket.emit('replays_list', replayStore.list({ playerName: data.playerName }));
+    });
+    
+    socket.on('get_replay', async (data = {}) => {
+        try {
+            const replay = await replayStore.load(data.replayId);
+            if (!replay) {
+                socket.emit('replay_error', { replayId: data.replayId, message: 'Replay not found' });
+                return;
+            }
+            socket.emit('replay_data', replay);
+        } catch (error) {
+            console.error('Error in get_replay:', error);
+            socket.emit('replay_error', { replayId: data.replayId, message: 'Could not read replay' });
+        }
+    });
+    
+    socket.on('stream_replay', async (data = {}) => {
+        try {
+            const replay = await replayStore.load(data.replayId);
+            if (!replay) {
+                socket.emit('replay_error', { replayId: data.replayId, message: 'Replay not found' });
+                return;
+            }
+            const speed = Math.min(REPLAY.MAX_SPEED, Math.max(REPLAY.MIN_SPEED, Number(data.speed) || 1));
+            streamReplay(socket, replay, speed);
+        } catch (error) {
+            console.error('Error in stream_replay:', error);
+            socket.emit('replay_error', { replayId: data.replayId, message: 'Could not read replay' });
+        }
+    });
+    
+    socket.on('stop_replay_stream', () => {
+        stopReplayStream(socket);
+    });
+
+    // 👀 Maç izle
+    secureSocketHandler(socket, 'spectate_room', (data = {}) => {
+        const room = rooms[data.roomId];
+        if (!room) {
+            const remote = cluster.findRoom(data.roomId);
+            socket.emit('spectate_error', remote
+                ? { message: 'Room is hosted on another server', code: 'WRONG_INSTANCE', instanceId: remote.instanceId, url: remote.url }
+                : { message: 'Oda bulunamadı' });
+            return;
+        }
+        if (socket.currentRoom) {
+            socket.emit('spectate_error', { message: 'Leave your room before spectating' });
+            return;
+        }
+        if (room.status !== 'playing') {
+            socket.emit('spectate_error', { message: 'Oyun henüz başlamadı' });
+            return;
+        }
+        if (room.password && room.password !== data.password) {
+            socket.emit('spectate_error', { message: 'Yanlış şifre' });
+            return;
+        }
+        const alreadyWatching = socket.spectatingRoom === room.id ? 1 : 0;
+        if (room.spectatorCount - alreadyWatching >= room.maxSpectators) {
+            socket.emit('spectate_error', { message: 'Spectator slots are full' });
+            return;
+        }
+        
+        // Başka bir maçı izliyorsa önce oradan çıkar - socket tek seferde tek maçı izler
+        removeSpectator(socket);
+        addSpectator(socket, room);
+    }, 10);
+    
+    socket.on('stop_spectating', () => {
+        removeSpectator(socket);
+    });
+    
+    // 💬 Sohbet mesajı
+    secureSocketHandler(socket, 'chat_message', (data = {}) => {
+        if (!securityManager.checkRateLimit(socket.id, 'chat', CHAT.MAX_PER_MINUTE)) {
+            socket.emit('chat_error', { message: 'You are sending messages too fast' });
+            return;
+        }
+        
+        const mute = moderation.getMute(socket.playerName);
+        if (mute) {
+            socket.emit('chat_error', { message: 'You are muted', reason: mute.reason, expiresAt: mute.expiresAt });
+            return;
+        }
+        
+        const { message, error } = chatManager.sanitize(data.message);
+        if (error) {
+            socket.emit('chat_error', { message: error });
+            return;
+        }
+        
+        sendChatMessage(socket, data.channel, message, data.to);
+    }, CHAT.MAX_PER_MINUTE);
+    
+    // 💬 Mute / block listeleri
+    ['mute', 'block'].forEach(action => {
+        const list = action === 'mute' ? 'muted' : 'blocked';
+        socket.on(`chat_${action}`, (data = {}) => {
+            if (typeof data.playerName !== 'string' || data.playerName === socket.playerName) return;
+            socket.emit('chat_settings', chatManager.setListed(socket.playerName, list, data.playerName, true));
+        });
+        socket.on(`chat_un${action}`, (data = {}) => {
+            if (typeof data.playerName !== 'string') return;
+            socket.emit('chat_settings', chatManager.setListed(socket.playerName, list, data.playerName, false));
+        });
+    });
+    
+    socket.on('get_chat_settings', () => {
+        socket.emit('chat_settings', chatManager.getPreferences(socket.playerName));
+    });
 
-            // Tüm oyuncular hazırsa oyunu başlat
-            if (room.players.length >= 2 && room.players.every(p => p.ready)) {
-                startGame(room);
-            }
+    // 🔌 Kopan oyuncu resume token ile koltuğuna geri döner
+    socket.on('resume_match', (data = {}) => {
+        const seat = resumeTokens.get(data.resumeToken);
+        if (!seat || seat.playerName !== socket.playerName) {
+            socket.emit('resume_error', { message: 'Invalid or expired resume token' });
+            return;
         }
+        
+        const room = rooms[seat.roomId];
+        const player = room && room.players.find(p => p.name === seat.playerName && p.disconnected);
+        if (!room || room.status !== 'playing' || !player) {
+            socket.emit('resume_error', { message: 'Match is no longer waiting for you' });
+            return;
+        }
+        
+        resumeSeat(socket, room, player);
     });
 
-    // Oyun güncellemesi - pozisyon ve top bilgisi
-    socket.on('game_update', (data) => {
-        if (!socket.currentRoom) return;
+    socket.on('disconnect', () => {
+        console.log(`Player ${playerId} disconnected`);
+        presence.remove(socket);
+        securityManager.forget(socket.id);
+        cheatDetector.forgetSocket(socket.id);
+        matchmakingQueue.leave(socket.id);
+        stopReplayStream(socket);
+        removeSpectator(socket);
         
-        // Performans için log yok (çok sık çağrılıyor)
-        socket.to(socket.currentRoom).emit('game_update', {
-            playerId: socket.playerId,
-            ...data
-        });
-    });
-    
-    // New player sync system - optimized
-    socket.on('player_sync', (data) => {
-        if (!socket.currentRoom) return;
+        const room = socket.currentRoom && rooms[socket.currentRoom];
+        if (room && room.status === 'playing' && matchSimulations.has(room.id)) {
+            holdSeat(socket, room);
+        } else {
+            leaveRoom(socket);
+        }
         
-        // Forward to opponent with sender ID and timestamp
-        socket.to(socket.currentRoom).emit('player_sync', {
+        publishPresence(socket.playerName);
+    });
+});
+
+// Oda oluştur - create_room ve matchmaking aynı yapıyı kullanır
+function createRoom(socket, options) {
+    const roomId = `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const roomData = {
+        id: roomId,
+        name: options.roomName || `${socket.playerName}'s Room`,
+        host: {
+            id: socket.id,
             playerId: socket.playerId,
-            x: data.x,
-            y: data.y,
-            vx: data.vx,
-            vy: data.vy,
-            timestamp: Date.now()
-        });
+            name: socket.playerName
+        },
+        players: [{
+            id: socket.id,
+            playerId: socket.playerId,
+            name: socket.playerName,
+            club: clubManager.getBadge(socket.playerName),
+            team: 'home',
+            ready: false
+        }],
+        // NvN modlarında oyuncu sayısı moddan gelir
+        maxPlayers: /^\dv\d$/.test(options.gameMode || '') ? playersForGameMode(options.gameMode) : (options.maxPlayers || 2),
+        gameMode: options.gameMode || '1v1',
+        ...resolveRoomRules(options), // rulesetId, stadium, weather, matchDuration (saniye), drawResolution, goldenGoal, mercyRule
+        isPrivate: options.isPrivate || false,
+        password: options.password || null,
+        maxSpectators: options.maxSpectators !== undefined ? Math.max(0, Number(options.maxSpectators) || 0) : 10,
+        spectatorCount: 0,
+        status: 'waiting', // waiting, playing, finished
+        createdAt: Date.now()
+    };
+    
+    removeSpectator(socket);
+    rooms[roomId] = roomData;
+    socket.join(roomId);
+    socket.currentRoom = roomId;
+    publishPresence(socket.playerName);
+    
+    return roomData;
+}
+
+// ⚙️ Kural seti süre, beraberlik, altın gol ve mercy rule varsayılanlarını verir; stadyum, hava, süre ve beraberlik ayrıca seçilebilir
+// Geçersiz değer varsayılana düşer (socket girişleri şemada zaten doğrulanır); base mevcut oda ayarlarıdır
+function resolveRoomRules(settings, base = {}) {
+    const ruleset = rulesCatalogue.getRuleset(settings.rulesetId || base.rulesetId) || rulesCatalogue.getRuleset(rulesCatalogue.defaults.ruleset);
+    const rulesetChanged = ruleset.id !== base.rulesetId;
+    const pick = (value, isValid, fallback) => (value !== undefined && isValid(value) ? value : fallback);
+    
+    return {
+        rulesetId: ruleset.id,
+        stadium: pick(settings.stadium, id => STADIUMS.includes(id), base.stadium || rulesCatalogue.defaults.stadium),
+        weather: pick(settings.weather, id => WEATHER_TYPES.includes(id), base.weather || rulesCatalogue.defaults.weather),
+        matchDuration: pick(settings.matchDuration, d => rulesCatalogue.durations.includes(d), rulesetChanged ? ruleset.matchDuration : base.matchDuration),
+        drawResolution: pick(settings.drawResolution, r => DRAW_RESOLUTIONS.includes(r), rulesetChanged ? ruleset.drawResolution : base.drawResolution),
+        goldenGoal: ruleset.goldenGoal,
+        mercyRule: ruleset.mercyRule
+    };
+}
+
+function teamCapacity(room) {
+    return Math.max(1, Math.floor(room.maxPlayers / 2));
+}
+
+// Yeni oyuncu kalabalık olmayan takıma girer, kulüp maçında kendi kulübünün tarafına
+function pickTeam(room, playerName) {
+    if (room.clubMatch) {
+        const clubId = clubManager.memberships.get(playerName);
+        return ['home', 'away'].find(side => room.clubMatch[side].id === clubId) || null;
+    }
+    
+    const homeCount = room.players.filter(p => p.team === 'home').length;
+    const awayCount = room.players.filter(p => p.team === 'away').length;
+    return awayCount < homeCount ? 'away' : 'home';
+}
+
+// null: başlayabilir, aksi halde client'a gösterilecek sebep
+function getStartBlockedReason(room) {
+    const homeCount = room.players.filter(p => p.team === 'home').length;
+    const awayCount = room.players.filter(p => p.team === 'away').length;
+    
+    if (homeCount === 0 || awayCount === 0) return 'Both teams need at least one player';
+    if (homeCount !== awayCount) return `Teams are unbalanced (${homeCount} vs ${awayCount})`;
+    return null;
+}
+
+// Matchmaking takımları: rating sırasına göre yılan dağıtımı (1-2-2-1...)
+function assignTeamsByRating(room, entries) {
+    const sorted = entries.slice().sort((a, b) => b.rating - a.rating);
+    sorted.forEach((entry, i) => {
+        const player = room.players.find(p => p.id === entry.socket.id);
+        player.team = (i % 4 === 0 || i % 4 === 3) ? 'home' : 'away';
     });
+}
 
-    // Top dokunma - hem host hem guest için
-    socket.on('ball_touch', (data) => {
-        if (!socket.currentRoom) return;
-        const room = rooms[socket.currentRoom];
-        if (!room) return;
-        
-        const isHost = room.host && room.host.id === socket.id;
-        const playerType = isHost ? 'HOST' : 'GUEST';
+// Oyuncuyu odaya oturt
+function addPlayerToRoom(socket, room) {
+    const player = {
+        id: socket.id,
+        playerId: socket.playerId,
+        name: socket.playerName,
+        club: clubManager.getBadge(socket.playerName),
+        team: pickTeam(room, socket.playerName),
+        ready: false
+    };
+    
+    removeSpectator(socket);
+    room.players.push(player);
+    socket.join(room.id);
+    socket.currentRoom = room.id;
+    publishPresence(socket.playerName);
+    socket.emit('chat_history', { channel: 'room', messages: chatManager.getHistory(`room:${room.id}`, socket.playerName) });
+    
+    return player;
+}
+
+// 🎯 Kuyruğu işle - eşleşenler için oda kur, diğerlerine durum gönder
+function runMatchmaking() {
+    const now = Date.now();
+    
+    matchmakingQueue.findMatches(now).forEach(({ gameMode, entries }) => {
+        // Oyuncular sırayla takımlara dağıtılır, stadyum tercihi olan ilk oyuncudan alınır
+        const preferred = entries.find(e => e.stadium !== 'any');
+        const [hostEntry, ...guestEntries] = entries;
         
-        console.log(`⚽ ${playerType} topa dokundu:`, {
-            ball: `(${data.ballX}, ${data.ballY})`,
-            velocity: `(${data.ballVx}, ${data.ballVy})`,
-            isHost: data.isHost
+        const room = createRoom(hostEntry.socket, {
+            roomName: `Ranked ${gameMode}`,
+            maxPlayers: entries.length,
+            gameMode,
+            stadium: preferred ? preferred.stadium : undefined,
+            isPrivate: true
         });
+        room.matchmade = true;
+        guestEntries.forEach(entry => addPlayerToRoom(entry.socket, room));
+        assignTeamsByRating(room, entries);
         
-        // Diğer oyuncuya gönder (broadcast)
-        socket.to(socket.currentRoom).emit('ball_touch', {
-            playerId: socket.playerId,
-            ballX: data.ballX,
-            ballY: data.ballY,
-            ballVx: data.ballVx,
-            ballVy: data.ballVy,
-            timestamp: data.timestamp,
-            isHost: data.isHost
-        });
+        io.to(room.id).emit('match_found', { room, startsIn: MATCHMAKING.START_DELAY_MS });
+        console.log(`🎯 Match found (${gameMode}): ${entries.map(e => e.playerName).join(' vs ')}`);
+        
+        setTimeout(() => {
+            // Geri sayım sırasında biri ayrıldıysa oda normal lobi olarak kalır
+            if (rooms[room.id] !== room || room.status !== 'waiting' || room.players.length < entries.length) return;
+            room.players.forEach(p => p.ready = true);
+            startGame(room);
+        }, MATCHMAKING.START_DELAY_MS);
+    });
+    
+    matchmakingQueue.entries.forEach(entry => {
+        entry.socket.emit('queue_status', matchmakingQueue.getStatus(entry, now));
     });
+}
 
-    // Ball sync - sürekli pozisyon güncellemesi
-    socket.on('ball_sync', (data) => {
-        if (!socket.currentRoom) return;
-        // Diğer oyuncuya gönder (yüksek frekanslı, log yok)
-        socket.to(socket.currentRoom).emit('ball_sync', {
-            ballX: data.ballX,
-            ballY: data.ballY,
-            ballVx: data.ballVx,
-            ballVy: data.ballVy,
-            isHost: data.isHost,
-            timestamp: Date.now()
+setInterval(runMatchmaking, MATCHMAKING.TICK_MS);
+
+// 🏆 Turnuva yardımcıları
+function tournamentGroup(tournamentId) {
+    return `tournament:${tournamentId}`;
+}
+
+function broadcastTournament(tournament) {
+    io.to(tournamentGroup(tournament.id)).emit('tournament_updated', tournamentManager.getState(tournament.id));
+    broadcastTournamentList();
+}
+
+function broadcastTournamentList() {
+    io.emit('tournaments_list', tournamentManager.list());
+}
+
+function beginTournament(tournament) {
+    const { ready, error } = tournamentManager.start(tournament.id, name => ratingManager.getRating(tournament.gameMode, name));
+    if (error) return error;
+    
+    console.log(`🏆 Tournament ${tournament.name} started with ${tournament.participants.length} players`);
+    broadcastTournament(tournament);
+    announceTournamentMatches(tournament, ready);
+    return null;
+}
+
+function announceTournamentMatches(tournament, matches) {
+    matches.forEach(match => {
+        const [home, away] = match.slots.map(s => s.player);
+        [[home, away], [away, home]].forEach(([playerName, opponent]) => {
+            emitToPlayer(playerName, 'tournament_match_ready', {
+                tournamentId: tournament.id,
+                tournamentName: tournament.name,
+                matchId: match.id,
+                round: match.round,
+                bracket: match.bracket,
+                opponent,
+                deadline: match.deadline
+            });
         });
     });
-    
-    // Time sync - HOST gameTime broadcast eder
-    socket.on('time_sync', (data) => {
-        if (!socket.currentRoom) return;
-        // HOST'tan GUEST'e gameTime sync
-        socket.to(socket.currentRoom).emit('time_sync', {
-            gameTime: data.gameTime,
-            playerScore: data.playerScore,
-            aiScore: data.aiScore
+}
+
+function checkInTournamentMatch(socket, tournament, match) {
+    let room = match.roomId && rooms[match.roomId];
+    if (room) {
+        const player = addPlayerToRoom(socket, room);
+        io.to(room.id).emit('player_joined', { player, room });
+    } else {
+        room = createRoom(socket, {
+            roomName: `${tournament.name} - ${match.id}`,
+            maxPlayers: 2,
+            gameMode: tournament.gameMode,
+            stadium: tournament.stadium,
+            matchDuration: tournament.matchDuration,
+            drawResolution: tournament.drawResolution,
+            isPrivate: true
         });
+        room.tournament = { id: tournament.id, matchId: match.id };
+        match.roomId = room.id;
+        tournamentManager.persist();
+    }
+    
+    // Bracket'teki ilk slot ev sahibi olur
+    room.players.forEach(p => p.team = match.slots[0].player === p.name ? 'home' : 'away');
+    socket.emit('room_joined', { room });
+    console.log(`🏆 ${socket.playerName} checked in to ${tournament.name} ${match.id}`);
+    
+    if (room.players.length < 2) return;
+    
+    io.to(room.id).emit('match_found', { room, startsIn: TOURNAMENT.START_DELAY_MS });
+    setTimeout(() => {
+        if (rooms[room.id] !== room || room.status !== 'waiting' || room.players.length < 2 || match.status !== 'ready') return;
+        match.status = 'playing';
+        match.deadline = null;
+        tournamentManager.persist();
+        room.players.forEach(p => p.ready = true);
+        startGame(room);
+        broadcastTournament(tournament);
+    }, TOURNAMENT.START_DELAY_MS);
+}
+
+// Sunucu sonucundan kazananı ilerlet, oda kısa süre sonra kapanır
+function recordTournamentMatch(room, result) {
+    const { id, matchId } = room.tournament;
+    const winner = result.players.find(p => p.won);
+    const outcome = tournamentManager.recordResult(id, matchId, {
+        winner: winner ? winner.name : null,
+        score: { ...result.score },
+        forfeit: result.forfeit ? { playerName: result.forfeit.playerName } : null
     });
+    setTimeout(() => closeTournamentRoom(room, 'Tournament match is over'), TOURNAMENT.ROOM_CLOSE_DELAY_MS);
+    if (outcome.error) return;
+    
+    broadcastTournament(outcome.tournament);
+    announceTournamentMatches(outcome.tournament, outcome.ready);
+}
 
-    // 🛡️ Gol güncelleme - skor her iki oyuncuya da gönderilir
-    secureSocketHandler(socket, 'goal_update', (data) => {
-        if (!socket.currentRoom) return;
-        const room = rooms[socket.currentRoom];
-        if (!room) return;
+function closeTournamentRoom(room, message) {
+    if (rooms[room.id] !== room || room.status === 'playing') return;
+    forceCloseRoom(room, message);
+}
 
-        console.log(`⚽ GOL! Room: ${socket.currentRoom}, Skor: ${data.playerScore}-${data.aiScore}, Scorer: ${data.scorer}`);
-        
-        // 🛡️ Validate score data
-        if (!securityManager.validateGameData(socket.id, data)) {
-            console.warn(`🚨 Invalid goal data from ${socket.id}`);
+function closeTournamentRooms(tournament, message) {
+    tournament.matches.forEach(match => {
+        const room = match.roomId && rooms[match.roomId];
+        if (room) closeTournamentRoom(room, message);
+    });
+}
+
+// Kayıt süresi ve check-in son tarihleri zamanlayıcı yerine kalıcı timestamp'lerle takip edilir
+function runTournaments() {
+    const now = Date.now();
+    
+    Object.values(tournamentManager.tournaments).forEach(tournament => {
+        if (tournament.status === 'signup' && now >= tournament.signupClosesAt) {
+            const error = beginTournament(tournament);
+            if (error) {
+                tournamentManager.cancel(tournament.id);
+                broadcastTournament(tournament);
+                console.log(`🏆 Tournament ${tournament.name} cancelled: ${error}`);
+            }
             return;
         }
+        if (tournament.status !== 'running') return;
         
-        // Validate score values
-        if (data.playerScore < 0 || data.aiScore < 0 || 
-            data.playerScore > 50 || data.aiScore > 50) {
-            securityManager.logSuspiciousActivity(socket.id, 'INVALID_SCORE_VALUES', data);
-            return;
-        }
-
-        // Odadaki HERKESE (gönderende dahil) skor güncellemesini yayınla
-        io.to(socket.currentRoom).emit('goal_update', {
-            playerScore: data.playerScore,
-            aiScore: data.aiScore,
-            scorer: data.scorer,
-            timestamp: Date.now()
+        tournament.matches.forEach(match => {
+            const room = match.roomId && rooms[match.roomId];
+            
+            // Sunucu yeniden başladıysa oda kaybolmuştur - maç yeniden check-in'e açılır
+            if (match.status === 'playing' && !room) {
+                match.status = 'ready';
+                match.roomId = null;
+                match.deadline = now + TOURNAMENT.CHECK_IN_MS;
+                tournamentManager.persist();
+                announceTournamentMatches(tournament, [match]);
+                return;
+            }
+            if (match.status !== 'ready' || now < match.deadline) return;
+            
+            const present = room ? room.players.map(p => p.name) : [];
+            const players = match.slots.map(s => s.player);
+            if (present.length === 2) return;
+            
+            forfeitTournamentNoShow(tournament, match, players.filter(name => !present.includes(name)), now);
+            if (room) closeTournamentRoom(room, 'Opponent did not show up');
         });
-    }, 5); // Max 5 goals per minute
+    });
+}
 
-    // Replay başlat - host replay başlattığında diğer oyunculara bildir
-    socket.on('start_replay', (data) => {
-        if (!socket.currentRoom) {
-            console.log('❌ REPLAY EVENT: No room!');
-            return;
-        }
-        
-        const room = rooms[socket.currentRoom];
+// Gelen oyuncu kazanır; ikisi de gelmezse elemede üst seed ilerler, ligde ikisi de kaybeder
+function forfeitTournamentNoShow(tournament, match, absent, now) {
+    const players = match.slots.map(s => s.player);
+    let winner = players.find(name => !absent.includes(name)) || null;
+    if (!winner && tournament.format !== 'round_robin') {
+        const seedOf = name => tournament.participants.find(p => p.name === name).seed;
+        winner = seedOf(players[0]) < seedOf(players[1]) ? players[0] : players[1];
+    }
+    
+    const outcome = tournamentManager.recordResult(tournament.id, match.id, {
+        winner,
+        forfeit: { noShow: absent }
+    }, now);
+    if (outcome.error) return;
+    
+    console.log(`🏆 No-show in ${tournament.name} ${match.id}: ${absent.join(', ')}`);
+    broadcastTournament(tournament);
+    announceTournamentMatches(tournament, outcome.ready);
+}
+
+setInterval(runTournaments, TOURNAMENT.TICK_MS);
+
+// Oyunu başlat
+function startGame(room) {
+    metrics.inc('matches_started_total', { gameMode: room.gameMode });
+    room.status = 'playing';
+    room.gameStartTime = Date.now();
+    room.matchId = matchLedger.open(room, room.gameStartTime).id;
+    room.players.forEach(p => publishPresence(p.name));
+    
+    matchAudience(room.id).emit('game_start', {
+        room,
+        players: room.players
+    });
+    
+    startMatchSimulation(room);
+    
+    // 🔌 Her oyuncuya sadece kendisinin kullanabileceği resume token
+    room.players.forEach(player => {
+        const resumeToken = crypto.randomBytes(16).toString('hex');
+        resumeTokens.set(resumeToken, { roomId: room.id, playerName: player.name });
+        io.to(player.id).emit('resume_token', { resumeToken, roomId: room.id });
+    });
+    
+    broadcastRoomList();
+    console.log(`Game started in room ${room.id}`);
+}
+
+// ⚽ Maç simülasyonunu başlat
+function startMatchSimulation(room) {
+    matchSimulations.set(room.id, new MatchSimulation(room));
+    replayRecorders.set(room.id, new ReplayRecorder(room));
+    
+    if (!simulationLoop) {
+        lastSimulationTime = Date.now();
+        simulationLoop = setInterval(runSimulationLoop, 1000 / SIMULATION.TICK_RATE);
+    }
+}
+
+function stopMatchSimulation(roomId) {
+    matchSimulations.delete(roomId);
+    replayRecorders.delete(roomId);
+    cheatDetector.forgetRoom(roomId);
+    releaseHeldSeats(roomId);
+    
+    if (matchSimulations.size === 0 && simulationLoop) {
+        clearInterval(simulationLoop);
+        simulationLoop = null;
+    }
+}
+
+// Fixed timestep - geciken interval'lar birden fazla tick çalıştırır
+function runSimulationLoop() {
+    const now = Date.now();
+    const tickMs = 1000 / SIMULATION.TICK_RATE;
+    const ticksPerSnapshot = Math.round(SIMULATION.TICK_RATE / SIMULATION.SNAPSHOT_RATE);
+    const ticksDue = Math.min(5, Math.floor((now - lastSimulationTime) / tickMs));
+    lastSimulationTime += ticksDue * tickMs;
+    if (ticksDue === 0) return;
+    
+    // Silinen odalar döngü sırasında map'ten çıkabileceği için kopya üzerinde dönülür
+    Array.from(matchSimulations.entries()).forEach(([roomId, simulation]) => {
+        const room = rooms[roomId];
         if (!room) {
-            console.log('❌ REPLAY EVENT: Room not found!');
+            stopMatchSimulation(roomId);
             return;
         }
         
-        console.log(`🎬 REPLAY EVENT RECEIVED from ${socket.playerName} in room ${socket.currentRoom}`);
-        console.log(`   Scorer: ${data.scorer}`);
-        console.log(`   Players in room: ${room.players.map(p => p.name).join(', ')}`);
-        
-        // SADECE DİĞER OYUNCULARA replay başladığını bildir (host kendi replay'ini başlatıyor)
-        socket.to(socket.currentRoom).emit('replay_started', {
-            scorer: data.scorer
-        });
-        
-        console.log(`   ✅ Replay event sent to other players in room ${socket.currentRoom}`);
+        // Bir maçtaki hata (ör. geçersiz faz geçişi) sadece o odayı kapatır, diğer maçlar sürer
+        try {
+            for (let i = 0; i < ticksDue; i++) {
+                const previousTick = simulation.tick;
+                const previousSecond = Math.floor(simulation.gameTime);
+                const events = simulation.step(now);
+                
+                // Duraklamada (gol, devre arası) tick ilerlemez, snapshot da gönderilmez
+                if (simulation.tick !== previousTick && simulation.tick % ticksPerSnapshot === 0) {
+                    broadcastSnapshot(room, simulation);
+                }
+                if (Math.floor(simulation.gameTime) !== previousSecond) {
+                    matchAudience(roomId).emit('time_sync', {
+                        gameTime: Math.floor(simulation.gameTime),
+                        playerScore: simulation.score.home,
+                        aiScore: simulation.score.away
+                    });
+                }
+                
+                events.forEach(event => handleSimulationEvent(room, simulation, event));
+                if (simulation.phase === 'finished') break;
+            }
+        } catch (error) {
+            metrics.inc('simulation_errors_total');
+            console.error(`❌ Simulation error in room ${roomId}, closing room:`, error);
+            forceCloseRoom(room, 'Match stopped due to a server error');
+            stopMatchSimulation(roomId);
+        }
     });
+}
 
-    // Half-time - host half-time'a girdiğinde diğer oyunculara bildir
-    socket.on('half_time', (data) => {
-        if (!socket.currentRoom) return;
-        const room = rooms[socket.currentRoom];
-        if (!room) return;
-        
-        console.log(`⏸️ HALF-TIME in room ${socket.currentRoom}, scores: ${data.playerScore}-${data.aiScore}`);
-        
-        // Reset half-time ready status
-        room.halfTimeReady = new Set();
-        
-        // TÜM oyunculara (host dahil) half-time'ı bildir
-        io.to(socket.currentRoom).emit('half_time_started', {
-            playerScore: data.playerScore,
-            aiScore: data.aiScore
+function broadcastSnapshot(room, simulation) {
+    metrics.time('relay_fanout_seconds', { kind: 'snapshot' }, () => sendSnapshot(room, simulation));
+}
+
+function sendSnapshot(room, simulation) {
+    const timestamp = Date.now();
+    
+    const recorder = replayRecorders.get(room.id);
+    if (recorder) {
+        recorder.recordSnapshot(simulation, timestamp);
+    }
+    
+    sendBinarySnapshot(room, simulation);
+    
+    // JSON client'lar geçiş dönemi boyunca eski event'leri almaya devam eder
+    const jsonAudience = matchAudience(room.id).except(BINARY_PROTOCOL_GROUP);
+    simulation.players.forEach(player => {
+        jsonAudience.emit('player_sync', {
+            playerId: player.playerId,
+            team: player.side,
+            x: player.x,
+            y: player.y,
+            vx: player.vx,
+            vy: player.vy,
+            lastInputSeq: player.lastInputSeq,
+            timestamp
         });
     });
     
-    // Half-time ready
-    socket.on('half_time_ready', () => {
-        if (!socket.currentRoom) return;
-        const room = rooms[socket.currentRoom];
-        if (!room) return;
-        
-        // Initialize if not exists
-        if (!room.halfTimeReady) {
-            room.halfTimeReady = new Set();
-        }
-        
-        // Add player to ready set
-        room.halfTimeReady.add(socket.id);
-        
-        const readyCount = room.halfTimeReady.size;
-        const totalPlayers = room.players.length;
-        
-        console.log(`⏸️ Half-time ready: ${readyCount}/${totalPlayers} in room ${socket.currentRoom}`);
-        
-        // Broadcast ready status
-        io.to(socket.currentRoom).emit('half_time_ready_update', {
-            readyCount: readyCount,
-            totalPlayers: totalPlayers
-        });
-        
-        // If all players ready, resume game
-        if (readyCount >= totalPlayers) {
-            console.log(`⚽ All players ready, resuming game in room ${socket.currentRoom}`);
-            io.to(socket.currentRoom).emit('half_time_resume');
-            room.halfTimeReady.clear();
-        }
+    jsonAudience.emit('ball_sync', {
+        ballX: simulation.ball.x,
+        ballY: simulation.ball.y,
+        ballVx: simulation.ball.vx,
+        ballVy: simulation.ball.vy,
+        tick: simulation.tick,
+        timestamp
     });
+}
 
-    // Emoji gönderme
-    socket.on('send_emoji', (data) => {
-        if (!socket.currentRoom) return;
-        console.log(`😎 Player ${socket.playerId} (${socket.playerName}) sent emoji: ${data.emoji}`);
-        socket.to(socket.currentRoom).emit('emoji_received', {
-            playerId: socket.playerId,
-            playerName: socket.playerName,
-            emoji: data.emoji
+// 📦 binary-v1 client'lar: her socket'e kendi onayladığı snapshot'a göre delta
+function sendBinarySnapshot(room, simulation) {
+    const binarySockets = io.sockets.adapter.rooms.get(BINARY_PROTOCOL_GROUP);
+    if (!binarySockets || binarySockets.size === 0) return;
+    
+    let snapshot = null;
+    [room.id, spectatorGroup(room.id)].forEach(group => {
+        (io.sockets.adapter.rooms.get(group) || []).forEach(socketId => {
+            if (!binarySockets.has(socketId)) return;
+            const socket = io.sockets.sockets.get(socketId);
+            if (!socket) return;
+            
+            // Quantize işlemi odada binary client varsa bir kez yapılır
+            snapshot = snapshot || quantizeSnapshot({
+                tick: simulation.tick,
+                ball: simulation.ball,
+                players: Array.from(simulation.players.values()).map(p => ({ ...p, team: p.side }))
+            });
+            socket.emit('snap', socket.snapshotEncoder.encode(room.id, snapshot));
         });
     });
+}
 
-    // Oyun bitişi - skor güncelleme
-    socket.on('game_end', (data) => {
-        if (!socket.currentRoom) return;
-        const room = rooms[socket.currentRoom];
-        if (!room) return;
+function handleSimulationEvent(room, simulation, event) {
+    switch (event.type) {
+        case 'goal':
+            console.log(`⚽ GOL! Room: ${room.id}, Skor: ${simulation.score.home}-${simulation.score.away}, Scorer: ${event.goal.scorer}`);
+            cheatDetector.observeGoal(room, simulation, event.goal);
+            emitMatchEvent(room, 'goal_update', {
+                playerScore: simulation.score.home,
+                aiScore: simulation.score.away,
+                scorer: event.goal.scorer,
+                ownGoal: event.goal.ownGoal,
+                scoringTeam: event.goal.side,
+                teamScores: { ...simulation.score },
+                timestamp: Date.now()
+            });
+            break;
+        case 'phase':
+            if (['first_half', 'second_half', 'extra_time'].includes(event.phase)) {
+                cheatDetector.observeKickoff(room.id, simulation.gameTime);
+            }
+            handlePhaseChange(room, simulation, event);
+            break;
+        case 'penalty_kick':
+            console.log(`🥅 Penalty in room ${room.id}: ${event.kick.kicker} ${event.kick.scored ? 'scored' : 'missed'} (${event.kick.penaltyScore.home}-${event.kick.penaltyScore.away})`);
+            emitMatchEvent(room, 'penalty_result', event.kick);
+            break;
+        case 'penalty_turn':
+            emitPenaltyTurn(room, simulation);
+            break;
+    }
+}
 
-        // Room status'ünü 'waiting'e çevir
-        room.status = 'waiting';
-        
-        // Tüm oyuncuları 'not ready' yap
-        room.players.forEach(p => p.ready = false);
-        
-        // Odadaki herkese güncel room'u gönder
-        io.to(socket.currentRoom).emit('room_updated', { room });
-        
-        broadcastRoomList();
+// Maç event'ini odaya yayınla ve replay'e kaydet
+function emitMatchEvent(room, eventName, data) {
+    const recorder = replayRecorders.get(room.id);
+    if (recorder) {
+        recorder.recordEvent(eventName, data);
+    }
+    metrics.time('relay_fanout_seconds', { kind: 'match_event' }, () => matchAudience(room.id).emit(eventName, data));
+}
+
+function handlePhaseChange(room, simulation, event) {
+    emitMatchEvent(room, 'match_phase', {
+        phase: event.phase,
+        reason: event.reason || null,
+        gameTime: Math.floor(simulation.gameTime),
+        playerScore: simulation.score.home,
+        aiScore: simulation.score.away,
+        phaseEndsAt: simulation.phaseEndsAt || null
+    });
+    
+    switch (event.phase) {
+        case 'half_time':
+            console.log(`⏸️ HALF-TIME in room ${room.id}, scores: ${simulation.score.home}-${simulation.score.away}`);
+            room.halfTimeReady = new Set();
+            matchAudience(room.id).emit('half_time_started', {
+                playerScore: simulation.score.home,
+                aiScore: simulation.score.away,
+                resumesAt: simulation.phaseEndsAt
+            });
+            break;
+        case 'second_half':
+            console.log(`⚽ Second half started in room ${room.id}${event.autoResumed ? ' (half-time timeout)' : ''}`);
+            if (room.halfTimeReady) room.halfTimeReady.clear();
+            matchAudience(room.id).emit('half_time_resume', { autoResumed: event.autoResumed });
+            matchAudience(room.id).emit('second_half_started');
+            break;
+        case 'extra_time':
+            console.log(`⏱️ Extra time in room ${room.id}`);
+            matchAudience(room.id).emit('extra_time_started', { duration: simulation.extraTimeDuration });
+            break;
+        case 'penalties':
+            console.log(`🥅 Penalty shootout in room ${room.id}`);
+            matchAudience(room.id).emit('penalties_started', { rounds: SIMULATION.PENALTY_ROUNDS });
+            emitPenaltyTurn(room, simulation);
+            break;
+        case 'finished':
+            finishMatch(room, simulation.getResult());
+            break;
+    }
+}
+
+function emitPenaltyTurn(room, simulation) {
+    const penalties = simulation.penalties;
+    matchAudience(room.id).emit('penalty_turn', {
+        side: penalties.kickingSide,
+        kicker: penalties.kicker ? penalties.kicker.name : null,
+        keeper: penalties.keeper ? penalties.keeper.name : null,
+        deadline: penalties.deadline,
+        penaltyScore: { ...penalties.score }
+    });
+}
+
+// Maçın o anki fazına uymayan client event'i
+function rejectPhaseEvent(socket, eventName) {
+    const simulation = socket.currentRoom && matchSimulations.get(socket.currentRoom);
+    const phase = simulation ? simulation.phase : null;
+    socket.emit('phase_error', {
+        event: eventName,
+        phase,
+        message: `${eventName} is not allowed ${phase ? `during ${phase}` : 'outside a match'}`
+    });
+}
 
-        // Her oyuncunun skorunu güncelle
-        data.players.forEach(player => {
-            if (!onlineLeaderboard[player.name]) {
-                onlineLeaderboard[player.name] = {
+// Maç bitti - sonucu sunucunun kendi skoruna göre kaydet
+function finishMatch(room, result) {
+    // Sonuç maç başına bir kez kabul edilir
+    const match = matchLedger.finalize(room.matchId, result);
+    if (!match) {
+        console.warn(`⚠️ Ignoring duplicate result for room ${room.id}`);
+        return;
+    }
+    room.matchId = null;
+    
+    metrics.inc('matches_finished_total', { gameMode: room.gameMode, outcome: result.forfeit ? 'forfeit' : 'completed' });
+    const replayId = saveMatchReplay(room.id, result);
+    matchLedger.attachReplay(match.id, replayId);
+    stopMatchSimulation(room.id);
+    
+    // Room status'ünü 'waiting'e çevir
+    room.status = 'waiting';
+    
+    // Tüm oyuncuları 'not ready' yap
+    room.players.forEach(p => p.ready = false);
+    room.players.forEach(p => publishPresence(p.name));
+    
+    // 📈 Sunucu sonucuna göre rating güncelle
+    const ratingChanges = ratingManager.recordMatch(room.gameMode, result);
+    clubManager.recordMatch(result);
+    matchHistory.record(match, replayId);
+    
+    matchAudience(room.id).emit('match_finished', {
+        matchId: match.id,
+        playerScore: result.score.home,
+        aiScore: result.score.away,
+        penalties: result.penalties,
+        teamScores: { ...result.score },
+        players: result.players,
+        forfeit: result.forfeit || null,
+        endReason: result.endReason || null,
+        ratingChanges,
+        replayId
+    });
+    
+    // Odadaki herkese güncel room'u gönder
+    io.to(room.id).emit('room_updated', { room });
+    
+    broadcastRoomList();
+    
+    // Her oyuncunun skorunu güncelle
+    result.players.forEach(player => {
+        [onlineLeaderboard, seasonStats].forEach(table => {
+            if (!table[player.name]) {
+                table[player.name] = {
                     name: player.name,
                     wins: 0,
                     losses: 0,
@@ -643,246 +6149,380 @@ io.on('connection', (socket) => {
                     gamesPlayed: 0
                 };
             }
-
-            const stats = onlineLeaderboard[player.name];
+            
+            const stats = table[player.name];
             stats.gamesPlayed++;
-            stats.goals += player.score || 0;
-            stats.goalsAgainst += player.opponentScore || 0;
-
+            stats.goals += player.score;
+            stats.goalsAgainst += player.opponentScore;
+            
             if (player.won) {
                 stats.wins++;
-            } else {
+            } else if (player.lost) {
                 stats.losses++;
             }
         });
-
-        console.log(`Game ended in room ${socket.currentRoom}`, data);
     });
+    persistLeaderboard();
+    
+    if (room.tournament) {
+        recordTournamentMatch(room, result);
+    }
+    
+    console.log(`Game ended in room ${room.id}: ${result.score.home}-${result.score.away}`);
+}
 
-    // Offline maç sonucu - AI'ya karşı oynanan maçlar
-    socket.on('offline_match_result', (data) => {
-        const playerName = data.playerName;
-        if (!playerName) return;
-        
-        // Register player and deliver pending friend requests if not already set
-        if (!socket.playerName) {
-            socket.playerName = playerName;
-            registeredPlayers.add(playerName);
-            deliverPendingFriendRequests(socket, playerName);
-        }
-        
-        if (!onlineLeaderboard[playerName]) {
-            onlineLeaderboard[playerName] = {
-                name: playerName,
-                wins: 0,
-                losses: 0,
-                goals: 0,
-                goalsAgainst: 0,
-                gamesPlayed: 0
-            };
-        }
-
-        const stats = onlineLeaderboard[playerName];
-        stats.gamesPlayed++;
-        stats.goals += data.playerScore || 0;
-        stats.goalsAgainst += data.aiScore || 0;
-
-        if (data.won) {
-            stats.wins++;
-        } else if (data.lost) {
-            stats.losses++;
-        }
-
-        console.log(`📊 Offline match result: ${playerName} - ${data.playerScore}:${data.aiScore} (${data.won ? 'WIN' : data.lost ? 'LOSS' : 'DRAW'})`);
+// 🔌 Koltuğu tut, maçı duraklat ve grace süresi sonunda hükmen bitir
+function holdSeat(socket, room) {
+    const player = room.players.find(p => p.id === socket.id);
+    if (!player) return;
+    
+    player.disconnected = true;
+    matchSimulations.get(room.id).pause();
+    socket.leave(room.id);
+    socket.currentRoom = null;
+    
+    const seatKey = `${room.id}:${player.name}`;
+    heldSeats.set(seatKey, setTimeout(() => {
+        heldSeats.delete(seatKey);
+        forfeitMatch(room, player);
+    }, RECONNECT_GRACE_MS));
+    
+    matchAudience(room.id).emit('player_disconnected', {
+        playerId: player.playerId,
+        playerName: player.name,
+        graceSeconds: RECONNECT_GRACE_MS / 1000
     });
+    console.log(`🔌 ${player.name} disconnected from match in room ${room.id}, holding seat for ${RECONNECT_GRACE_MS / 1000}s`);
+}
 
-    // Leaderboard al
-    socket.on('get_leaderboard', () => {
-        const leaderboardArray = Object.values(onlineLeaderboard)
-            .sort((a, b) => {
-                // Önce kazanma sayısına göre sırala
-                if (b.wins !== a.wins) return b.wins - a.wins;
-                // Eşitse gol farkına göre
-                const aGoalDiff = a.goals - a.goalsAgainst;
-                const bGoalDiff = b.goals - b.goalsAgainst;
-                if (bGoalDiff !== aGoalDiff) return bGoalDiff - aGoalDiff;
-                // Eşitse atılan gol sayısına göre
-                return b.goals - a.goals;
-            })
-            .slice(0, 10); // İlk 10 oyuncu
-
-        socket.emit('leaderboard_data', leaderboardArray);
+function resumeSeat(socket, room, player) {
+    const oldSocketId = player.id;
+    const seatKey = `${room.id}:${player.name}`;
+    clearTimeout(heldSeats.get(seatKey));
+    heldSeats.delete(seatKey);
+    
+    // Koltuğu yeni socket'e bağla, oyuncu id'si değişmez
+    player.id = socket.id;
+    player.disconnected = false;
+    socket.playerId = player.playerId;
+    if (room.host.id === oldSocketId) {
+        room.host.id = socket.id;
+    }
+    if (room.halfTimeReady && room.halfTimeReady.delete(oldSocketId)) {
+        room.halfTimeReady.add(socket.id);
+    }
+    
+    const simulation = matchSimulations.get(room.id);
+    simulation.rebindPlayer(oldSocketId, socket.id);
+    
+    socket.join(room.id);
+    socket.currentRoom = room.id;
+    publishPresence(socket.playerName);
+    
+    const allConnected = room.players.every(p => !p.disconnected);
+    if (allConnected) {
+        simulation.unpause();
+    }
+    
+    socket.emit('match_resumed', {
+        room,
+        playerScore: simulation.score.home,
+        aiScore: simulation.score.away,
+        gameTime: Math.floor(simulation.gameTime),
+        half: simulation.half,
+        phase: simulation.phase
     });
+    socket.to(room.id).emit('player_reconnected', {
+        playerId: player.playerId,
+        playerName: player.name,
+        resumed: allConnected
+    });
+    console.log(`🔌 ${player.name} resumed match in room ${room.id}`);
+}
 
-    // Friend System Events
-    socket.on('send_friend_request', (data) => {
-        const { from, to } = data;
-        console.log(`👥 Friend request: ${from} -> ${to}`);
-        
-        // Register both players as they've interacted with the system
-        registeredPlayers.add(from);
-        registeredPlayers.add(to);
-        
-        // Find target player
-        const targetSocket = Array.from(io.sockets.sockets.values())
-            .find(s => s.playerName === to);
+// Grace süresi doldu - kopan taraf hükmen kaybeder, sonuç istatistiklere yazılır
+function forfeitMatch(room, player) {
+    if (rooms[room.id] !== room) return;
+    
+    const simulation = matchSimulations.get(room.id);
+    if (room.status === 'playing' && simulation) {
+        const forfeitSide = simulation.players.get(player.id).side;
+        const result = simulation.getResult();
+        result.forfeit = { side: forfeitSide, playerName: player.name };
+        result.players.forEach(p => {
+            p.won = p.side !== forfeitSide;
+            p.lost = p.side === forfeitSide;
+        });
         
-        if (targetSocket) {
-            // Player is online - deliver immediately
-            const requestId = Date.now().toString();
-            targetSocket.emit('friend_request_received', {
-                id: requestId,
-                from: from,
-                timestamp: Date.now()
-            });
-            console.log(`✅ Friend request delivered to ${to} (online)`);
-        } else {
-            // Player is offline - store for later delivery
-            if (!pendingFriendRequests[to]) {
-                pendingFriendRequests[to] = [];
-            }
-            
-            const requestId = Date.now().toString();
-            pendingFriendRequests[to].push({
-                id: requestId,
-                from: from,
-                timestamp: Date.now()
-            });
-            
-            console.log(`📬 Friend request stored for ${to} (offline)`);
-            socket.emit('friend_request_sent', {
-                message: `Friend request sent to ${to}! They will receive it when they come online.`
-            });
-        }
+        console.log(`🏳️ ${player.name} forfeited the match in room ${room.id}`);
+        finishMatch(room, result);
+    }
+    
+    // Hâlâ bağlı olmayan oyuncular odadan çıkarılır
+    const gone = room.players.filter(p => p.disconnected);
+    const wasHost = gone.some(p => p.id === room.host.id);
+    room.players = room.players.filter(p => !p.disconnected);
+    gone.forEach(p => {
+        io.to(room.id).emit('player_left', {
+            playerId: p.playerId,
+            playerName: p.name,
+            wasPlaying: true,
+            room
+        });
     });
     
-    socket.on('accept_friend_request', (data) => {
-        const { from, to } = data;
-        console.log(`✅ Friend request accepted: ${from} accepted ${to}`);
-        
-        // Notify the original sender
-        const targetSocket = Array.from(io.sockets.sockets.values())
-            .find(s => s.playerName === to);
-        
-        if (targetSocket) {
-            targetSocket.emit('friend_request_accepted', {
-                from: from
-            });
+    if (room.players.length === 0) {
+        delete rooms[room.id];
+        releaseSpectators(room.id, 'Room closed');
+    } else if (wasHost) {
+        migrateHost(room);
+    }
+    broadcastRoomList();
+}
+
+function releaseHeldSeats(roomId) {
+    resumeTokens.forEach((seat, token) => {
+        if (seat.roomId === roomId) resumeTokens.delete(token);
+    });
+    heldSeats.forEach((timer, seatKey) => {
+        if (seatKey.startsWith(`${roomId}:`)) {
+            clearTimeout(timer);
+            heldSeats.delete(seatKey);
         }
     });
+}
+
+// 👑 Host migration - lobi ayarları aynen kalır, oynanan maç sunucuda kaldığı yerden devam eder
+function migrateHost(room) {
+    const newHost = room.players.find(p => !p.disconnected) || room.players[0];
+    const previousHost = room.host.name;
+    room.host = {
+        id: newHost.id,
+        playerId: newHost.playerId,
+        name: newHost.name
+    };
     
-    socket.on('decline_friend_request', (data) => {
-        const { from, to } = data;
-        console.log(`❌ Friend request declined: ${from} declined ${to}`);
-        
-        // Notify the original sender
-        const targetSocket = Array.from(io.sockets.sockets.values())
-            .find(s => s.playerName === to);
-        
-        if (targetSocket) {
-            targetSocket.emit('friend_request_declined', {
-                from: from
-            });
-        }
+    // Saat ve devre arası sunucuda; host'a kalan client tarafı görev replay tetiklemek
+    const simulation = matchSimulations.get(room.id);
+    io.to(room.id).emit('host_changed', {
+        host: room.host,
+        previousHost,
+        hostDuties: ['start_replay'],
+        matchState: simulation ? {
+            ballX: simulation.ball.x,
+            ballY: simulation.ball.y,
+            ballVx: simulation.ball.vx,
+            ballVy: simulation.ball.vy,
+            gameTime: Math.floor(simulation.gameTime),
+            playerScore: simulation.score.home,
+            aiScore: simulation.score.away,
+            half: simulation.half,
+            phase: simulation.phase
+        } : null,
+        room
     });
+    console.log(`👑 Host of room ${room.id} moved from ${previousHost} to ${newHost.name}`);
+}
+
+// 💬 Mesajı kanala göre alıcılara dağıt, mute/block listelerine uy
+function sendChatMessage(socket, channel, text, to) {
+    const message = {
+        id: crypto.randomBytes(6).toString('hex'),
+        channel,
+        from: socket.playerName,
+        message: text,
+        timestamp: Date.now()
+    };
     
-    socket.on('remove_friend', (data) => {
-        const { from, to } = data;
-        console.log(`💔 Friend removed: ${from} removed ${to}`);
-        
-        // Notify the removed friend
-        const targetSocket = Array.from(io.sockets.sockets.values())
-            .find(s => s.playerName === to);
-        
-        if (targetSocket) {
-            targetSocket.emit('friend_removed', {
-                from: from
-            });
+    let recipients;
+    let historyKey = null;
+    let historyLimit = CHAT.ROOM_HISTORY;
+    
+    if (channel === 'room' && socket.currentRoom && rooms[socket.currentRoom]) {
+        recipients = rooms[socket.currentRoom].players.map(p => io.sockets.sockets.get(p.id)).filter(Boolean);
+        historyKey = `room:${socket.currentRoom}`;
+    } else if (channel === 'spectators' && socket.spectatingRoom) {
+        recipients = Array.from(roomSpectators.get(socket.spectatingRoom) || []);
+        historyKey = `spectators:${socket.spectatingRoom}`;
+    } else if (channel === 'lobby') {
+        recipients = Array.from(io.sockets.sockets.values());
+        historyKey = 'lobby';
+        historyLimit = CHAT.LOBBY_HISTORY;
+    } else if (channel === 'direct' && typeof to === 'string') {
+        if (chatManager.isHidden(to, socket.playerName, 'direct')) {
+            socket.emit('chat_error', { message: `${to} is not accepting your messages` });
+            return;
         }
-    });
+        message.to = to;
+        recipients = presence.getSockets(to);
+        if (recipients.length === 0) {
+            socket.emit('chat_error', { message: `${to} is offline` });
+            return;
+        }
+        recipients.push(socket);
+    } else {
+        socket.emit('chat_error', { message: 'Unknown chat channel' });
+        return;
+    }
     
-    socket.on('send_game_invite', (data) => {
-        const { from, to, roomId, roomName } = data;
-        console.log(`🎮 Game invite: ${from} invited ${to} to room ${roomName}`);
-        
-        // Find target player
-        const targetSocket = Array.from(io.sockets.sockets.values())
-            .find(s => s.playerName === to);
-        
-        if (targetSocket) {
-            const inviteId = Date.now().toString();
-            targetSocket.emit('game_invite_received', {
-                id: inviteId,
-                from: from,
-                roomId: roomId,
-                roomName: roomName,
-                timestamp: Date.now()
-            });
-            console.log(`✅ Game invite delivered to ${to}`);
-        } else {
-            socket.emit('game_invite_failed', {
-                message: 'Player not found or offline'
-            });
-            console.log(`❌ Game invite failed: ${to} not online`);
+    if (historyKey) {
+        chatManager.addHistory(historyKey, message, historyLimit);
+    }
+    new Set(recipients).forEach(recipient => {
+        if (!chatManager.isHidden(recipient.playerName, socket.playerName, channel)) {
+            recipient.emit('chat_message', message);
         }
     });
+}
+
+// 🤝 Kulüp bildirimleri
+function emitToClub(club, eventName, data) {
+    if (!club) return;
+    club.members.forEach(m => emitToPlayer(m.name, eventName, data));
+}
+
+function emitToClubOfficers(club, eventName, data) {
+    if (!club) return;
+    club.members.filter(m => m.role !== 'member').forEach(m => emitToPlayer(m.name, eventName, data));
+}
+
+// Her üye kendi yetkisine göre görünümü alır
+function broadcastClub(club) {
+    if (!clubManager.get(club.id)) return;
+    club.members.forEach(m => emitToPlayer(m.name, 'club_updated', clubManager.getView(club, m.name)));
+}
+
+// 👀 Maç yayınları oyunculara ve izleyici grubuna birlikte gider
+function spectatorGroup(roomId) {
+    return `${roomId}:spectators`;
+}
+
+function matchAudience(roomId) {
+    return io.to(roomId).to(spectatorGroup(roomId));
+}
+
+function addSpectator(socket, room) {
+    if (!roomSpectators.has(room.id)) {
+        roomSpectators.set(room.id, new Set());
+    }
+    roomSpectators.get(room.id).add(socket);
+    room.spectatorCount = roomSpectators.get(room.id).size;
     
-    socket.on('get_online_friends', (data) => {
-        const { friendNames } = data;
-        const onlineFriends = [];
-        
-        friendNames.forEach(friendName => {
-            const friendSocket = Array.from(io.sockets.sockets.values())
-                .find(s => s.playerName === friendName);
-            
-            if (friendSocket) {
-                onlineFriends.push(friendName);
-            }
-        });
-        
-        socket.emit('online_friends_update', { onlineFriends });
-    });
+    socket.join(spectatorGroup(room.id));
+    socket.spectatingRoom = room.id;
+    publishPresence(socket.playerName);
+    socket.emit('chat_history', { channel: 'spectators', messages: chatManager.getHistory(`spectators:${room.id}`, socket.playerName) });
     
-    // Second half start - synchronize all players
-    socket.on('second_half_start', () => {
-        if (!socket.currentRoom) return;
-        
-        console.log(`⚽ Second half started in room ${socket.currentRoom}`);
-        
-        // Notify all players in the room (including sender)
-        io.to(socket.currentRoom).emit('second_half_started');
-    });
-
-    // Odadan ayrıl
-    socket.on('leave_room', () => {
-        leaveRoom(socket);
+    const simulation = matchSimulations.get(room.id);
+    socket.emit('spectate_joined', {
+        room,
+        matchState: simulation ? {
+            gameTime: Math.floor(simulation.gameTime),
+            playerScore: simulation.score.home,
+            aiScore: simulation.score.away,
+            half: simulation.half,
+            phase: simulation.phase
+        } : null
     });
+    matchAudience(room.id).emit('spectator_count_changed', { spectatorCount: room.spectatorCount });
+    broadcastRoomList();
+    console.log(`👀 ${socket.playerName} is spectating room ${room.id}`);
+}
 
-    // 🛡️ Security alert handler
-    secureSocketHandler(socket, 'security_alert', (data) => {
-        console.warn(`🚨 Client security alert from ${socket.id}:`, data);
-        securityManager.logSuspiciousActivity(socket.id, 'CLIENT_SECURITY_ALERT', data);
-    }, 3);
+function removeSpectator(socket) {
+    const roomId = socket.spectatingRoom;
+    if (!roomId) return;
+    
+    socket.leave(spectatorGroup(roomId));
+    socket.spectatingRoom = null;
+    publishPresence(socket.playerName);
+    
+    const spectators = roomSpectators.get(roomId);
+    if (spectators) {
+        spectators.delete(socket);
+        if (spectators.size === 0) roomSpectators.delete(roomId);
+    }
+    
+    const room = rooms[roomId];
+    if (room) {
+        room.spectatorCount = spectators ? spectators.size : 0;
+        matchAudience(roomId).emit('spectator_count_changed', { spectatorCount: room.spectatorCount });
+        broadcastRoomList();
+    }
+}
 
-    // Bağlantı kesildiğinde
-    socket.on('disconnect', () => {
-        console.log(`Player ${playerId} disconnected`);
-        leaveRoom(socket);
+// Oda kapandı - izleyicileri bilgilendir ve gruptan çıkar
+function releaseSpectators(roomId, message) {
+    const spectators = roomSpectators.get(roomId);
+    if (!spectators) return;
+    
+    io.to(spectatorGroup(roomId)).emit('room_closed', { message });
+    spectators.forEach(socket => {
+        socket.leave(spectatorGroup(roomId));
+        socket.spectatingRoom = null;
     });
-});
+    roomSpectators.delete(roomId);
+    spectators.forEach(socket => publishPresence(socket.playerName));
+}
 
-// Oyunu başlat
-function startGame(room) {
-    room.status = 'playing';
-    room.gameStartTime = Date.now();
+// 🎬 Kaydı diske yaz, id'yi hemen döndür (yazma arka planda)
+function saveMatchReplay(roomId, result) {
+    const recorder = replayRecorders.get(roomId);
+    if (!recorder) return null;
     
-    io.to(room.id).emit('game_start', {
-        room,
-        players: room.players
-    });
+    const replay = recorder.finish(result);
+    replayStore.save(replay)
+        .then(() => console.log(`🎬 Replay saved: ${replay.id} (${replay.frames.length} frames)`))
+        .catch(error => console.error(`❌ Could not save replay ${replay.id}:`, error.message));
+    return replay.id;
+}
+
+// Replay'i kayıttaki zamanlamayla (hız çarpanıyla) client'a gönder
+function streamReplay(socket, replay, speed) {
+    stopReplayStream(socket);
     
-    broadcastRoomList();
-    console.log(`Game started in room ${room.id}`);
+    let index = 0;
+    const sendNext = () => {
+        const frame = replay.frames[index];
+        if (!frame) {
+            socket.replayStream = null;
+            socket.emit('replay_stream_end', { replayId: replay.id });
+            return;
+        }
+        
+        if (frame[1] === 'S') {
+            const [t, , ballX, ballY, ballVx, ballVy, players] = frame;
+            socket.emit('replay_frame', {
+                replayId: replay.id,
+                t,
+                event: 'snapshot',
+                ball: { ballX, ballY, ballVx, ballVy },
+                players: players.map(([playerId, x, y, vx, vy]) => ({ playerId, x, y, vx, vy }))
+            });
+        } else {
+            socket.emit('replay_frame', { replayId: replay.id, t: frame[0], event: frame[2], data: frame[3] });
+        }
+        
+        index++;
+        const next = replay.frames[index];
+        socket.replayStream = setTimeout(sendNext, next ? (next[0] - frame[0]) / speed : 0);
+    };
+    
+    socket.emit('replay_stream_start', {
+        replayId: replay.id,
+        speed,
+        duration: replay.duration,
+        players: replay.players,
+        score: replay.score
+    });
+    sendNext();
+}
+
+function stopReplayStream(socket) {
+    if (socket.replayStream) {
+        clearTimeout(socket.replayStream);
+        socket.replayStream = null;
+    }
 }
 
 // Odadan ayrıl
@@ -895,60 +6535,153 @@ function leaveRoom(socket) {
     const wasHost = room.host.id === socket.id;
     const wasPlaying = room.status === 'playing';
     const roomId = socket.currentRoom;
+    metrics.inc('room_leaves_total', { wasPlaying: String(wasPlaying) });
+    
+    // 🏳️ Maç ortasında ayrılan oyuncu grace süresi dolmuş gibi hükmen kaybeder
+    const simulation = matchSimulations.get(roomId);
+    const player = room.players.find(p => p.id === socket.id);
+    if (wasPlaying && simulation && player && simulation.players.has(socket.id)) {
+        player.disconnected = true;
+        forfeitMatch(room, player);
+        socket.leave(roomId);
+        socket.currentRoom = null;
+        publishPresence(socket.playerName);
+        return;
+    }
 
-    // Önce mesajları gönder, sonra oyuncuyu çıkar
-    if (wasHost) {
-        // Host ayrılıyor - tüm oyunculara bildir
-        if (wasPlaying) {
-            console.log(`Host left during game in room ${roomId}, closing room`);
-            io.to(roomId).emit('host_left_game', {
-                message: 'Oda sahibi oyundan ayrıldı'
-            });
-        } else {
-            console.log(`Host left lobby in room ${roomId}, closing room`);
-            io.to(roomId).emit('host_left_lobby', {
-                message: 'Oda sahibi odadan ayrıldı'
-            });
-        }
-        // Host ayrılırsa odayı sil
+    room.players = room.players.filter(p => p.id !== socket.id);
+    if (simulation) {
+        simulation.removePlayer(socket.id);
+    }
+    
+    // Oda boşaldıysa sil
+    if (room.players.length === 0) {
         delete rooms[roomId];
+        stopMatchSimulation(roomId);
+        releaseSpectators(roomId, 'Room closed');
+        console.log(`Room ${roomId} deleted (empty)`);
     } else {
-        // Normal oyuncu ayrılıyor
-        // Sonra oyuncuyu çıkar
-        room.players = room.players.filter(p => p.id !== socket.id);
-        
-        // Oda boşaldıysa sil
-        if (room.players.length === 0) {
-            delete rooms[roomId];
-            console.log(`Room ${roomId} deleted (empty)`);
-        } else {
-            // Hala oyuncu varsa mesajı gönder
-            io.to(roomId).emit('player_left', {
-                playerId: socket.playerId,
-                playerName: socket.playerName,
-                wasPlaying: wasPlaying,
-                room: room
-            });
+        // Host ayrıldıysa oda kapanmaz, kalan bir oyuncu host olur
+        if (wasHost) {
+            migrateHost(room);
         }
+        
+        io.to(roomId).emit('player_left', {
+            playerId: socket.playerId,
+            playerName: socket.playerName,
+            wasPlaying: wasPlaying,
+            room: room
+        });
     }
     
     socket.leave(roomId);
     socket.currentRoom = null;
+    publishPresence(socket.playerName);
+    broadcastRoomList();
+}
+
+// Odayı maç sonucu kaydetmeden kapat - oyuncular ve izleyiciler lobiye döner
+function forceCloseRoom(room, message) {
+    if (rooms[room.id] !== room) return;
+    
+    stopMatchSimulation(room.id);
+    io.to(room.id).emit('room_closed', { message });
+    room.players.forEach(p => {
+        const socket = io.sockets.sockets.get(p.id);
+        if (!socket) return;
+        socket.leave(room.id);
+        socket.currentRoom = null;
+        publishPresence(socket.playerName);
+    });
+    delete rooms[room.id];
+    releaseSpectators(room.id, message);
     broadcastRoomList();
 }
 
+// 🛠️ Oyuncu adı veya IP ile eşleşen bağlantıları sebebini bildirerek kapat
+function disconnectMatching(target, eventName, data) {
+    const sockets = Array.from(io.sockets.sockets.values()).filter(socket =>
+        target.type === 'player' ? socket.playerName === target.value : socket.handshake.address === target.value);
+    
+    sockets.forEach(socket => {
+        socket.emit(eventName, data);
+        socket.disconnect(true);
+    });
+    return sockets.length;
+}
+
+// 🚨 Bloklanan şüphe anahtarına ('socket:' | 'player:' | 'ip:') bağlı bağlantıları kapat
+function disconnectBlocked(key) {
+    const separator = key.indexOf(':');
+    const type = key.slice(0, separator);
+    const value = key.slice(separator + 1);
+    const data = { message: 'Access denied', code: 'BLOCKED' };
+    
+    if (type !== 'socket') return disconnectMatching({ type, value }, 'security_error', data);
+    const socket = io.sockets.sockets.get(value);
+    if (!socket) return 0;
+    socket.emit('security_error', data);
+    socket.disconnect(true);
+    return 1;
+}
+
+// Public odalar: katılınabilir lobiler ve izlenebilir maçlar - şifre yerine sadece hasPassword gider
+function getLocalPublicRooms() {
+    return Object.values(rooms)
+        .filter(r => !r.isPrivate && (r.status === 'waiting' || (r.status === 'playing' && r.maxSpectators > 0)))
+        .map(({ password, ...room }) => ({ ...room, hasPassword: !!password }));
+}
+
+// Diğer instance'ların odaları instanceId/instanceUrl ile birlikte listelenir
+function getPublicRooms() {
+    return getLocalPublicRooms().concat(cluster.remoteRooms());
+}
+
 // Oda listesini yayınla
 function broadcastRoomList() {
-    const publicRooms = Object.values(rooms).filter(r => !r.isPrivate && r.status === 'waiting');
-    io.emit('rooms_list', publicRooms);
+    cluster.publish('rooms', { rooms: getLocalPublicRooms() });
+    io.emit('rooms_list', getPublicRooms());
+}
+
+// 🌐 Cluster mesajları
+cluster.on('rooms', () => io.emit('rooms_list', getPublicRooms()));
+cluster.on('leave', () => io.emit('rooms_list', getPublicRooms()));
+cluster.on('account', (account, instanceId) => accountManager.importAccount(account, instanceId));
+cluster.on('friends', operation => friendGraph.applyRemote(operation));
+cluster.onDirect(message => {
+    if (message.type === 'emit') {
+        presence.getSockets(message.playerName).forEach(s => s.emit(message.eventName, message.data));
+    }
+});
+
+function sendClusterHeartbeat() {
+    refreshDataDirLock();
+    cluster.expire();
+    cluster.publish('heartbeat', {
+        players: Array.from(presence.statuses, ([playerName, status]) => ({ playerName, ...status })),
+        rooms: getLocalPublicRooms()
+    });
 }
 
+setInterval(sendClusterHeartbeat, CLUSTER.HEARTBEAT_MS);
+
 // Eski/inactive odaları temizle
 function cleanupOldRooms() {
     const now = Date.now();
     const WAITING_TIMEOUT = 5 * 60 * 1000; // 5 dakika
     const PLAYING_TIMEOUT = 30 * 60 * 1000; // 30 dakika
     
+    clubManager.pruneChallenges(now);
+    moderation.prune(now);
+    securityManager.prune(now);
+    matchLedger.prune(now);
+    
+    // Kapanmış odaların sohbet geçmişi
+    chatManager.histories.forEach((messages, key) => {
+        const [channel, roomId] = key.split(':');
+        if (channel !== 'lobby' && !rooms[roomId]) chatManager.dropHistory(key);
+    });
+    
     Object.keys(rooms).forEach(roomId => {
         const room = rooms[roomId];
         const age = now - room.createdAt;
@@ -959,6 +6692,7 @@ function cleanupOldRooms() {
             // Odadaki herkese bildir
             io.to(roomId).emit('room_closed', { message: 'Room closed due to inactivity' });
             delete rooms[roomId];
+            releaseSpectators(roomId, 'Room closed due to inactivity');
             return;
         }
         
@@ -967,6 +6701,8 @@ function cleanupOldRooms() {
             console.log(`🧹 Cleaning up old playing room: ${roomId} (${Math.round(age/1000/60)} mins old)`);
             io.to(roomId).emit('room_closed', { message: 'Room closed due to timeout' });
             delete rooms[roomId];
+            releaseSpectators(roomId, 'Room closed due to timeout');
+            stopMatchSimulation(roomId);
             return;
         }
     });
@@ -979,27 +6715,20 @@ setInterval(cleanupOldRooms, 2 * 60 * 1000);
 
 // Clean up old pending friend requests (older than 7 days)
 function cleanupOldFriendRequests() {
-    const now = Date.now();
-    const WEEK_IN_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
-    
-    Object.keys(pendingFriendRequests).forEach(playerName => {
-        pendingFriendRequests[playerName] = pendingFriendRequests[playerName].filter(request => {
-            return (now - request.timestamp) < WEEK_IN_MS;
-        });
-        
-        // Remove empty arrays
-        if (pendingFriendRequests[playerName].length === 0) {
-            delete pendingFriendRequests[playerName];
-        }
-    });
+    const removed = friendGraph.pruneRequests();
+    if (removed > 0) {
+        console.log(`🧹 Removed ${removed} expired friend requests`);
+    }
 }
 
-// Clean up old friend requests every 24 hours
+// Clean up old friend requests every 24 hours (and once at startup for stored requests)
+cleanupOldFriendRequests();
 setInterval(cleanupOldFriendRequests, 24 * 60 * 60 * 1000);
 
 // Sunucuyu başlat
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
+    serverListening = true;
     console.log(`🎮 DBS 26 (Dimension Ball Soccer) Online Server running on port ${PORT}`);
     console.log(`🌐 Socket.IO server ready`);
     console.log(`📂 Serving files from directory (DBS 26/)`);
@@ -1007,9 +6736,16 @@ server.listen(PORT, () => {
 });
 
 // Temizlik için
-process.on('SIGINT', () => {
+function shutdown() {
     console.log('\n Shutting down server...');
+    cluster.publish('leave', {});
+    clusterBroker.close();
+    storage.flush();
+    releaseDataDirLock();
     io.close();
     server.close();
     process.exit(0);
-});
\ No newline at end of file
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
\ No newline at end of file